@@ -0,0 +1,92 @@
+// Compares the cost of a compatibility update with the reverse dependency index against the original full scan cascade.
+// Usage: node bench/compatibility.js [products] [versionsPerProduct] [updates]
+
+const _ = require("lodash");
+const { DependencyStore, SPEC } = require("../index");
+
+const productCount = Number(process.argv[2]) || 2000;
+const versionsPerProduct = Number(process.argv[3]) || 4;
+const updateCount = Number(process.argv[4]) || 5;
+const layerSize = 100;
+
+/**
+ * The cascade as it was before the reverse dependency index: every recursion level scans all versions for dependents.
+ */
+class FullScanStore extends DependencyStore {
+    recalculate(productIds, updated = {}) {
+        for (const productId of productIds) this.cascade(productId, updated);
+    }
+
+    cascade(productId, updated) {
+        this.updateCompatibility(productId);
+        updated[productId] = true;
+        for (const ver in this.versions) {
+            const version = this.versions[ver];
+            if (version.dependencies.includes(productId) && !updated[version.product]) {
+                this.cascade(version.product, updated);
+            }
+        }
+    }
+}
+
+/**
+ * Deterministic pseudo random numbers, so every run builds the same graph.
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Builds a layered graph where every version depends on up to three products of the layer below it.
+ */
+function buildStore() {
+    const store = new DependencyStore();
+    const next = random(42);
+    const specs = Object.values(SPEC);
+    for (let i = 0; i < productCount; i++) {
+        const productId = store.createProduct();
+        const layer = Math.floor(i / layerSize);
+        for (let j = 0; j < versionsPerProduct; j++) {
+            const dependencies = layer === 0 ? [] : _.uniq(_.times(1 + Math.floor(next() * 3), () => `p${(layer - 1) * layerSize + Math.floor(next() * layerSize)}`));
+            const allowed = _.intersection(specs, ...dependencies.map((dep) => store.products[dep].compatible));
+            store.putVersion(productId, null, allowed.filter(() => next() < 0.9), dependencies);
+        }
+    }
+    return store;
+}
+
+/**
+ * Times the same series of updates on a copy of the store.
+ * @returns The time per update in milliseconds.
+ */
+function time(store, targets) {
+    const start = process.hrtime.bigint();
+    for (const versionId of targets) {
+        const version = store.versions[versionId];
+        store.putVersion(version.product, versionId, version.supports.slice(0, -1), version.dependencies);
+    }
+    return Number(process.hrtime.bigint() - start) / 1e6 / targets.length;
+}
+
+const base = buildStore();
+const layers = Math.ceil(productCount / layerSize);
+const scenarios = {
+    "bottom layer (many dependents)": (id) => Number(id.slice(1)) < layerSize,
+    "top layer (no dependents)": (id) => Number(id.slice(1)) >= (layers - 1) * layerSize,
+};
+
+console.log(`${productCount} products, ${Object.keys(base.versions).length} versions, ${layers} layers, ${updateCount} updates per scenario`);
+for (const name in scenarios) {
+    const targets = Object.keys(base.versions).filter((versionId) => scenarios[name](base.versions[versionId].product)).slice(0, updateCount);
+    const indexed = base.fork();
+    const fullScan = new FullScanStore();
+    fullScan.restore(base.snapshot());
+    const indexedTime = time(indexed, targets);
+    const fullScanTime = time(fullScan, targets);
+    console.log(`${name}: full scan ${fullScanTime.toFixed(2)}ms, indexed ${indexedTime.toFixed(2)}ms per update`);
+    if (!_.isEqual(indexed.products, fullScan.products)) console.log("  Warning: the two stores ended up with different compatibilities.");
+}
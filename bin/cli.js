@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+// Manages a persisted dependency store from the command line. Run with --help for the commands.
+
+const { run } = require("../lib/cli");
+
+process.exitCode = run(process.argv.slice(2));
@@ -0,0 +1,15 @@
+// Serves a dependency store over HTTP.
+// Usage: node bin/serve.js [storeFile]
+// The port is read from the PORT environment variable and defaults to 3000. Without a store file the store only lives in memory.
+// The server has no authentication, so it only listens on 127.0.0.1 unless the HOST environment variable names another interface.
+
+const { DependencyStore, JSONFileStorage, createServer } = require("../index");
+
+const file = process.argv[2];
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || "127.0.0.1";
+const store = new DependencyStore({ storage: file ? new JSONFileStorage(file) : null });
+
+createServer(store).listen(port, host, () => {
+    console.log(`Dependency store listening on http://${host}:${port}${file ? ` (persisted to ${file})` : ""}`);
+});
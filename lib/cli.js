@@ -0,0 +1,291 @@
+const fs = require("fs");
+const { parseArgs } = require("util");
+const DependencyStore = require("./dependency-store");
+const { CATEGORIES, countIssues } = require("./integrity");
+const { JSONFileStorage } = require("./storage");
+
+const USAGE = `Usage: sdt <command> [arguments] [--store file] [--actor name] [--json]
+
+Commands:
+  create-product [--name name]                      Creates a product.
+  put-version <productId> [versionId] --supports s1,s2 [--dependency p0[@range]]... [--label 1.0.0]
+                                                    Creates a version, or updates it when a version ID is given.
+  remove-version <versionId>                        Removes a version.
+  compatibility <productId>                         Shows the compatibility of a product and of each of its versions.
+  tree <productId>                                  Shows the dependency tree of a product.
+  explain <productId> <spec>                        Explains why a product is or is not compatible with a spec.
+  export [--format dot|mermaid|json] [--spec s1]   Exports the graph, highlighting the dependencies that limit the spec.
+  validate                                          Checks that every stored compatibility matches its dependencies.
+  check                                             Lists every inconsistency in the store, by category.
+  repair                                            Fixes what can be fixed safely and recomputes every compatibility.
+  import <path> [--spec-field engines]              Imports a directory of package.json files or a package-lock.json,
+                                                    reading the supported specs from the given field.
+
+The store file defaults to $SDT_STORE, or store.json in the current directory. Only commands that change the store create it.
+Changes are recorded in the store's history under --actor, or $SDT_ACTOR.`;
+
+// Commands that only read the store. Loading a missing store file creates it, so they refuse to run without one
+const READ_ONLY_COMMANDS = ["compatibility", "tree", "explain", "export", "validate", "check"];
+
+const COMMANDS = ["create-product", "put-version", "remove-version", "compatibility", "tree", "explain", "export", "validate", "check", "repair", "import"];
+
+const OPTIONS = {
+    store: { type: "string", short: "s" },
+    json: { type: "boolean" },
+    supports: { type: "string" },
+    dependency: { type: "string", short: "d", multiple: true },
+    label: { type: "string" },
+    format: { type: "string", short: "f" },
+    spec: { type: "string" },
+    actor: { type: "string" },
+    name: { type: "string" },
+    "spec-field": { type: "string" },
+    help: { type: "boolean", short: "h" },
+};
+
+/**
+ * Thrown for command lines that cannot be run, such as a missing argument.
+ */
+class UsageError extends Error {}
+
+/**
+ * Splits a comma separated list, ignoring empty entries.
+ * @param {string} list The list, such as "spec1,spec2".
+ * @returns An array of the entries.
+ */
+function splitList(list) {
+    return (list || "").split(",").map((entry) => entry.trim()).filter((entry) => entry.length > 0);
+}
+
+/**
+ * Parses a dependency argument. "p0" depends on every version of p0 and "p0@^1.2.0" only on the versions inside the range.
+ * @param {string} argument The dependency argument.
+ * @returns A dependency as stored on a version.
+ */
+function parseDependencyArgument(argument) {
+    const at = argument.indexOf("@");
+    if (at === -1) return argument;
+    return { product: argument.slice(0, at), range: argument.slice(at + 1) };
+}
+
+/**
+ * Formats a list of specs for humans.
+ * @param {array} specs The specs.
+ * @returns The specs separated by commas, or "none".
+ */
+function formatSpecs(specs) {
+    return specs.length > 0 ? specs.join(", ") : "none";
+}
+
+/**
+ * Renders a node of store.dependencyTree() as indented lines, annotating every product and version with its specs.
+ * @param {object} node The product node.
+ * @param {string} prefix The indentation of the node's children.
+ * @param {array} lines The lines rendered so far.
+ * @returns The lines.
+ */
+function renderTree(node, prefix = "", lines = []) {
+    const range = node.range ? ` ${node.range}` : "";
+    const marker = node.missing ? " (missing)" : node.circular ? " (circular)" : node.deduped ? " (deduped)" : "";
+    if (lines.length === 0) lines.push(`${node.product} compatible: ${formatSpecs(node.compatible)}`);
+    else lines[lines.length - 1] += `${node.product}${range} compatible: ${formatSpecs(node.compatible)}${marker}`;
+    (node.versions || []).forEach((version, i) => {
+        const last = i === node.versions.length - 1;
+        const label = version.label ? ` ${version.label}` : "";
+        lines.push(`${prefix}${last ? "└─ " : "├─ "}${version.version}${label} supports: ${formatSpecs(version.supports)} compatible: ${formatSpecs(version.compatible)}`);
+        const versionPrefix = prefix + (last ? "   " : "│  ");
+        version.dependencies.forEach((dependency, j) => {
+            const lastDependency = j === version.dependencies.length - 1;
+            lines.push(`${versionPrefix}${lastDependency ? "└─ " : "├─ "}`);
+            renderTree(dependency, versionPrefix + (lastDependency ? "   " : "│  "), lines);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Renders a node of store.explain() as indented lines. Dependencies that provide the spec are listed without being expanded.
+ * @param {object} node The product node.
+ * @param {string} spec The explained spec.
+ * @param {string} prefix The indentation of the node's children.
+ * @param {array} lines The lines rendered so far.
+ * @returns The lines.
+ */
+function renderExplanation(node, spec, prefix = "", lines = []) {
+    const range = node.range ? ` ${node.range}` : "";
+    const marker = node.missing ? " (missing)" : node.circular ? " (circular)" : node.deduped ? " (deduped)" : "";
+    const text = `${node.product}${range} ${node.compatible ? "is" : "is not"} compatible with ${spec}${marker}`;
+    if (lines.length === 0) lines.push(text);
+    else lines[lines.length - 1] += text;
+    (node.versions || []).forEach((version, i) => {
+        const last = i === node.versions.length - 1;
+        const label = version.label ? ` ${version.label}` : "";
+        const reason = version.compatible ? "is compatible" : !version.declared ? `does not declare ${spec}` : version.retired ? `declares ${spec}, which is retired` : `declares ${spec}, missing from a dependency`;
+        lines.push(`${prefix}${last ? "└─ " : "├─ "}${version.version}${label} ${reason}`);
+        const versionPrefix = prefix + (last ? "   " : "│  ");
+        version.dependencies.forEach((dependency, j) => {
+            const lastDependency = j === version.dependencies.length - 1;
+            const connector = `${versionPrefix}${lastDependency ? "└─ " : "├─ "}`;
+            if (dependency.provides) {
+                lines.push(`${connector}${dependency.product}${dependency.range ? ` ${dependency.range}` : ""} provides ${spec}`);
+                return;
+            }
+            lines.push(connector);
+            renderExplanation(dependency.node, spec, versionPrefix + (lastDependency ? "   " : "│  "), lines);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Renders an integrity report as one line per issue, grouped by category. Issues that repair() cannot fix are marked.
+ * @param {object} issues The report, see store.checkIntegrity().
+ * @returns The lines.
+ */
+function renderIssues(issues) {
+    const lines = [];
+    for (const category of CATEGORIES) {
+        if (issues[category].length === 0) continue;
+        lines.push(`${category}:`);
+        for (const issue of issues[category]) lines.push(`  ${issue.message}${issue.repairable ? "" : " (needs a decision)"}`);
+    }
+    return lines;
+}
+
+/**
+ * Runs one command on the store.
+ * @param {DependencyStore} store The store.
+ * @param {string} command The command name.
+ * @param {array} args The positional arguments after the command.
+ * @param {object} options The parsed options.
+ * @returns An object of { result, text, code } where result is printed with --json and text otherwise.
+ */
+function execute(store, command, args, options) {
+    const required = (name) => {
+        if (args.length === 0) throw new UsageError(`${command} needs a ${name}`);
+        return args[0];
+    };
+    switch (command) {
+        case "create-product": {
+            const productId = store.createProduct(options.name === undefined ? {} : { name: options.name });
+            return { result: { productId }, text: `Created product ${productId}${options.name ? ` (${options.name})` : ""}` };
+        }
+        case "put-version": {
+            const productId = required("product ID");
+            if (options.supports === undefined) throw new UsageError("put-version needs --supports");
+            const dependencies = (options.dependency || []).map(parseDependencyArgument);
+            const versionId = store.putVersion(productId, args[1] || null, splitList(options.supports), dependencies, options.label === undefined ? {} : { label: options.label });
+            const version = store.versions[versionId];
+            return {
+                result: { versionId, version },
+                text: `${args[1] ? "Updated" : "Created"} version ${versionId} of ${productId}, compatible: ${formatSpecs(version.compatible)}`,
+            };
+        }
+        case "remove-version": {
+            const { versionId, changes } = store.removeVersion(required("version ID"));
+            const lines = [`Removed version ${versionId}`];
+            for (const productId in changes) lines.push(`  ${productId} compatible: ${formatSpecs(changes[productId].after)}`);
+            return { result: { versionId, changes }, text: lines.join("\n") };
+        }
+        case "compatibility": {
+            const productId = required("product ID");
+            const tree = store.dependencyTree(productId);
+            const versions = {};
+            const lines = [`${productId} compatible: ${formatSpecs(tree.compatible)}`];
+            for (const version of tree.versions) {
+                versions[version.version] = version.compatible;
+                lines.push(`  ${version.version}${version.label ? ` ${version.label}` : ""} compatible: ${formatSpecs(version.compatible)}`);
+            }
+            return { result: { productId, compatible: tree.compatible, versions }, text: lines.join("\n") };
+        }
+        case "tree": {
+            const tree = store.dependencyTree(required("product ID"));
+            return { result: tree, text: renderTree(tree).join("\n") };
+        }
+        case "explain": {
+            const productId = required("product ID");
+            if (args.length < 2) throw new UsageError("explain needs a spec");
+            const explanation = store.explain(productId, args[1]);
+            return { result: explanation, text: renderExplanation(explanation, args[1]).join("\n") };
+        }
+        case "export": {
+            const format = options.format || "dot";
+            const graph = store.exportGraph(format, { spec: options.spec || null });
+            return { result: graph, text: format === "json" ? JSON.stringify(graph, null, 2) : graph };
+        }
+        case "validate": {
+            const message = store.validate();
+            const valid = message === "Success.";
+            return { result: { valid, message }, text: message, code: valid ? 0 : 1 };
+        }
+        case "check": {
+            const issues = store.checkIntegrity();
+            const count = countIssues(issues);
+            const lines = [count > 0 ? `Found ${count} issue(s).` : "No issues found.", ...renderIssues(issues)];
+            return { result: { count, issues }, text: lines.join("\n"), code: count > 0 ? 1 : 0 };
+        }
+        case "repair": {
+            const { found, remaining, changes } = store.repair();
+            const count = countIssues(remaining);
+            const lines = [`Repaired ${countIssues(found, (issue) => issue.repairable)} issue(s).`];
+            for (const productId in changes) lines.push(`  ${productId} compatible: ${formatSpecs(changes[productId].after)}`);
+            if (count > 0) lines.push(`${count} issue(s) remain.`, ...renderIssues(remaining));
+            return { result: { found, remaining, changes }, text: lines.join("\n"), code: count > 0 ? 1 : 0 };
+        }
+        case "import": {
+            const report = store.importPackages(required("path"), options["spec-field"] === undefined ? {} : { specField: options["spec-field"] });
+            const lines = [`Imported ${Object.keys(report.versions).length} version(s) of ${Object.keys(report.products).length} package(s).`];
+            for (const rejected of report.rejected) lines.push(`  Rejected ${rejected.package}@${rejected.version}: ${rejected.message}`);
+            return { result: report, text: lines.join("\n"), code: report.rejected.length > 0 ? 1 : 0 };
+        }
+        default:
+            throw new UsageError(`Unknown command ${command}`);
+    }
+}
+
+/**
+ * Runs the command line interface.
+ * @param {array} argv The arguments after the script name.
+ * @param {object} io An object of { stdout, stderr }, each a function that prints one block of text.
+ * @returns The exit code.
+ */
+function run(argv, { stdout = console.log, stderr = console.error } = {}) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (err) {
+        stderr(`${err.message}\n\n${USAGE}`);
+        return 2;
+    }
+    const { values: options, positionals: [command, ...args] } = parsed;
+    if (options.help) {
+        stdout(USAGE);
+        return 0;
+    }
+    try {
+        // Loading the store writes its file, so the command line is refused before
+        if (!COMMANDS.includes(command)) throw new UsageError(command ? `Unknown command ${command}` : "No command given");
+        const file = options.store || process.env.SDT_STORE || "store.json";
+        if (READ_ONLY_COMMANDS.includes(command) && !fs.existsSync(file)) throw new Error(`Store file ${file} does not exist`);
+        // check and repair must be able to load an inconsistent store file
+        const verify = !["check", "repair"].includes(command);
+        const store = new DependencyStore({ storage: new JSONFileStorage(file), verify });
+        const actor = options.actor || process.env.SDT_ACTOR || null;
+        const { result, text, code = 0 } = store.withActor(actor, () => execute(store, command, args, options));
+        stdout(options.json ? JSON.stringify(result, null, 2) : text);
+        return code;
+    } catch (err) {
+        if (err instanceof UsageError) {
+            stderr(`${err.message}\n\n${USAGE}`);
+            return 2;
+        }
+        // A missing store file, or one that fails the integrity check, throws a plain Error, which is reported like any rejected call.
+        if (options.json) stdout(JSON.stringify(Object.assign({ error: err.name, message: err.message }, err), null, 2));
+        else stderr(err.message);
+        return 1;
+    }
+}
+
+module.exports = {
+    run,
+};
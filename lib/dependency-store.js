@@ -0,0 +1,1435 @@
+// Allow versions to define whatever supported specs they wish
+// Allow versions to add dependencies of any product that supports all specs they selected
+// What happens when a product dependency no longer has support for one of the selected specs
+//      Disable support for that version
+// What happens when a product dependency adds support for a spec that is not selected?
+//      Nothing
+// What happens when a product dependency drops support for a spec, then adds back support at a later date?
+//      Automatically generate spec support based on input and dependencies
+
+const EventEmitter = require("events");
+const _ = require("lodash");
+const semver = require("semver");
+const { stronglyConnectedComponents } = require("./graph");
+const { parseDependency, labelMatches } = require("./dependency");
+const resolver = require("./resolver");
+const exporters = require("./export");
+const integrity = require("./integrity");
+const importer = require("./import");
+const SPEC = require("./spec");
+const {
+    UnknownProductError,
+    UnknownVersionError,
+    UnsupportedSpecError,
+    ProductInUseError,
+    InvalidLabelError,
+    InvalidRangeError,
+    UnknownSpecError,
+    RetiredSpecError,
+    DuplicateSpecError,
+    DuplicateProductError,
+    InvalidListError,
+    InvalidDependencyError,
+    UnknownFormatError,
+    InvalidTimeError,
+} = require("./errors");
+
+/**
+ * Reads a point in time.
+ * @param {Date|string|number} time A Date, a date string or a number of milliseconds since the epoch.
+ * @returns The number of milliseconds since the epoch.
+ * @throws {InvalidTimeError} If the time cannot be read as a date.
+ */
+function toTime(time) {
+    const at = new Date(time).getTime();
+    if (Number.isNaN(at)) throw new InvalidTimeError(time);
+    return at;
+}
+
+/**
+ * Determines if a value has the shape of a dependency: a product ID, or an object of { product, range } where the range is optional.
+ * @param {*} dependency The value.
+ * @returns True if the value is a dependency.
+ */
+function isDependency(dependency) {
+    if (typeof dependency === "string") return true;
+    if (!_.isPlainObject(dependency) || typeof dependency.product !== "string") return false;
+    return dependency.range === undefined || dependency.range === null || typeof dependency.range === "string";
+}
+
+// The record collections of a store. Each is an object of id:record, persisted and rolled back the same way.
+const COLLECTIONS = ["products", "versions", "specs"];
+
+/**
+ * A self-contained product/version "DB". Every instance owns its own records and ID counters,
+ * so any number of stores can live side by side in one process.
+ *
+ * Stores emit the following events once a mutation has been committed:
+ *   versionPut            { productId, versionId, supports, dependencies, label }
+ *   compatibilityChanged  { productId, before, after, added, removed, path, trigger }, one per product whose compatibility changed.
+ *                         The trigger is { productId, versionId } for version changes, { productId } for product removals, { spec } for spec changes
+ *                         { productIds } for transactions and { repair: true } for repair().
+ *   versionRejected       { productId, versionId, error } when putVersion, or the check at the end of a transaction, rejects a version.
+ *                         It is emitted once the rejected mutation has been rolled back, or right away for a call inside a running mutation.
+ */
+class DependencyStore extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {boolean} options.debug Logs every compatibility calculation when true.
+     * @param {object} options.storage A storage adapter (see lib/storage). The store loads its state from it and commits every mutation to it.
+     * @param {array} options.specs The specs registered in a new or reset store. Defaults to the SPEC values.
+     * @param {function} options.clock Returns the current Date, used to timestamp the history. Defaults to the system clock.
+     * @param {boolean} options.verify Checks the integrity of the state loaded from storage. Defaults to true.
+     * Pass false to load an inconsistent state so that it can be inspected with checkIntegrity() and fixed with repair().
+     */
+    constructor({ debug = false, storage = null, specs = Object.values(SPEC), clock = () => new Date(), verify = true } = {}) {
+        super();
+        this.defaultSpecs = specs;
+        this.clear();
+        this.debug = debug;
+        this.storage = storage;
+        this.clock = clock;
+        this.verify = verify;
+        this.actor = null;
+        this.pending = null;
+        if (storage) this.load();
+    }
+
+    /**
+     * Loads the state held by the storage adapter. Unless the store was created with verify: false,
+     * the loaded state must pass checkIntegrity(), otherwise an error is thrown.
+     * Snapshots saved before versions kept their own compatibility get it calculated, once the rest of the state checks out.
+     */
+    load() {
+        const snapshot = this.storage.load();
+        if (!snapshot) {
+            this.commitAll();
+            return;
+        }
+        const migrated = !snapshot.specs || _.some(snapshot.versions, (version) => !version.compatible);
+        this.restore(snapshot);
+        if (this.verify) {
+            let issues = this.checkIntegrity();
+            if (migrated && integrity.countIssues(Object.assign({}, issues, { staleCompatibility: [] })) === 0) {
+                integrity.recomputeAll(this);
+                issues = this.checkIntegrity();
+            }
+            const count = integrity.countIssues(issues);
+            if (count > 0) {
+                const first = _.flatMap(integrity.CATEGORIES, (category) => issues[category])[0];
+                throw new Error(`Stored state is inconsistent. Found ${count} issue(s), starting with: ${first.message} Load it with verify: false and call repair().`);
+            }
+        }
+        if (migrated) this.commitAll();
+    }
+
+    /**
+     * Commits the whole DB to storage as a single changeset that replaces everything stored before.
+     * Used for resets, for new storage so that the default specs are stored, and for state migrated from older snapshots.
+     */
+    commitAll() {
+        const changeset = Object.assign(this.snapshot(), { reset: true });
+        this.storage.commit(changeset, () => this.snapshot({ history: false }));
+    }
+
+    /**
+     * Replaces the DB in memory with a snapshot, without touching storage.
+     * @param {object} snapshot An object holding the ID counters, products, versions, specs and history, as returned by snapshot().
+     * Snapshots saved before specs were registered get the default specs plus every spec their versions support,
+     * snapshots saved before the history was kept start with an empty history, and versions saved before they kept their compatibility
+     * start out compatible with nothing until load() or repair() calculates it.
+     */
+    restore(snapshot) {
+        this.prodId = snapshot.prodId;
+        this.verId = snapshot.verId;
+        this.products = snapshot.products;
+        this.versions = snapshot.versions;
+        this.specs = snapshot.specs;
+        this.history = snapshot.history || [];
+        for (const versionId in this.versions) {
+            if (!this.versions[versionId].compatible) this.versions[versionId].compatible = [];
+        }
+        if (!this.specs) {
+            const used = _.flatMap(Object.values(this.versions), (version) => version.supports);
+            this.specs = this.seedSpecs(_.union(this.defaultSpecs, used));
+        }
+        this.buildIndex();
+    }
+
+    /**
+     * Rebuilds the reverse dependency index from scratch. The index maps every product ID to the Set of version IDs that depend on it.
+     * It is derived from the versions, so it is never persisted.
+     */
+    buildIndex() {
+        this.dependents = Object.create(null);
+        for (const versionId in this.versions) this.indexVersion(versionId);
+    }
+
+    /**
+     * Adds a version to the reverse dependency index under each product it depends on.
+     * @param {string} versionId The version ID.
+     */
+    indexVersion(versionId) {
+        for (const dependency of this.versions[versionId].dependencies) {
+            const dep = parseDependency(dependency).product;
+            if (!this.dependents[dep]) this.dependents[dep] = new Set();
+            this.dependents[dep].add(versionId);
+        }
+    }
+
+    /**
+     * Takes a version out of the reverse dependency index.
+     * @param {string} versionId The version ID.
+     */
+    unindexVersion(versionId) {
+        for (const dependency of this.versions[versionId].dependencies) {
+            const dep = parseDependency(dependency).product;
+            if (!this.dependents[dep]) continue;
+            this.dependents[dep].delete(versionId);
+            if (this.dependents[dep].size === 0) delete this.dependents[dep];
+        }
+    }
+
+    /**
+     * Returns a copy of the whole DB, in the format the storage adapters persist.
+     * @param {object} options
+     * @param {boolean} options.history Includes the history. Defaults to true. Storage gets snapshots without it, since the history only grows
+     * and reaches storage through the changesets.
+     * @returns An object holding the ID counters, products, versions, specs and, unless left out, the history.
+     */
+    snapshot({ history = true } = {}) {
+        const snapshot = {
+            prodId: this.prodId,
+            verId: this.verId,
+            products: this.products,
+            versions: this.versions,
+            specs: this.specs,
+        };
+        if (history) snapshot.history = this.history;
+        return _.cloneDeep(snapshot);
+    }
+
+    /**
+     * Runs a mutation as a single unit. Every record touched by the mutation is recorded in the history and committed to storage as one changeset,
+     * then the events queued by the mutation are emitted. If the mutation or the commit throws, the touched records are restored
+     * to their previous state and no events are emitted. Nested calls join the outer mutation.
+     * @param {function} fn The mutation.
+     * @param {function} rejected Called with the error when fn or the commit throws, after the rollback. Errors thrown by event listeners
+     * are not passed to it, since the mutation has been committed by then.
+     * @returns The return value of fn.
+     */
+    mutate(fn, rejected = null) {
+        if (this.pending) {
+            if (!rejected) return fn();
+            try {
+                return fn();
+            } catch (err) {
+                rejected(err);
+                throw err;
+            }
+        }
+        this.pending = {
+            prodId: this.prodId,
+            verId: this.verId,
+            products: new Map(),
+            versions: new Map(),
+            specs: new Map(),
+            history: this.history.length,
+            events: [],
+            deferred: null,
+        };
+        let result;
+        let events;
+        try {
+            result = fn();
+            this.recordHistory();
+            if (this.storage) this.storage.commit(this.changeset(), () => this.snapshot({ history: false }));
+            events = this.pending.events;
+        } catch (err) {
+            this.rollback();
+            // Cleared before reporting, so that listeners of the rejection can call the store again
+            this.pending = null;
+            if (rejected) rejected(err);
+            throw err;
+        } finally {
+            this.pending = null;
+        }
+        for (const [name, payload] of events) this.emit(name, payload);
+        return result;
+    }
+
+    /**
+     * Queues an event to be emitted once the running mutation has been committed.
+     * @param {string} name The event name.
+     * @param {object} payload The event payload.
+     */
+    queue(name, payload) {
+        this.pending.events.push([name, payload]);
+    }
+
+    /**
+     * Records the current state of a product, version or spec before the running mutation changes it.
+     * @param {string} collection One of "products", "versions" or "specs".
+     * @param {string} id The ID of the record about to change.
+     */
+    touch(collection, id) {
+        if (!this.pending || this.pending[collection].has(id)) return;
+        this.pending[collection].set(id, _.cloneDeep(this[collection][id]));
+    }
+
+    /**
+     * Appends an entry to the history for the running mutation, holding the before and after state of every record it changed.
+     * Records that did not exist are null. Nothing is appended when the mutation changed nothing.
+     */
+    recordHistory() {
+        const entry = {
+            at: this.clock().toISOString(),
+            actor: this.actor,
+            products: {},
+            versions: {},
+            specs: {},
+        };
+        let changed = false;
+        for (const collection of COLLECTIONS) {
+            for (const [id, before] of this.pending[collection]) {
+                const after = this[collection][id];
+                if (_.isEqual(before, after)) continue;
+                entry[collection][id] = {
+                    before: before === undefined ? null : before,
+                    after: after === undefined ? null : _.cloneDeep(after),
+                };
+                changed = true;
+            }
+        }
+        if (changed) this.history.push(entry);
+    }
+
+    /**
+     * Builds the changeset of the running mutation. Removed records are set to null.
+     * @returns An object holding the ID counters, the touched products, versions and specs, and the new history entries.
+     */
+    changeset() {
+        const changeset = {
+            prodId: this.prodId,
+            verId: this.verId,
+            products: {},
+            versions: {},
+            specs: {},
+            history: _.cloneDeep(this.history.slice(this.pending.history)),
+        };
+        for (const collection of COLLECTIONS) {
+            for (const id of this.pending[collection].keys()) {
+                changeset[collection][id] = _.cloneDeep(this[collection][id]) || null;
+            }
+        }
+        return changeset;
+    }
+
+    /**
+     * Restores every record touched by the running mutation. Only the index entries of the touched versions are restored,
+     * since every change to the index goes through a touched version.
+     */
+    rollback() {
+        this.prodId = this.pending.prodId;
+        this.verId = this.pending.verId;
+        this.history.length = this.pending.history;
+        for (const collection of COLLECTIONS) {
+            for (const [id, before] of this.pending[collection]) {
+                if (collection === "versions" && this.hasVersion(id)) this.unindexVersion(id);
+                if (before === undefined) delete this[collection][id];
+                else this[collection][id] = before;
+                if (collection === "versions" && before !== undefined) this.indexVersion(id);
+            }
+        }
+    }
+
+    /**
+     * Determines if a product exists. Only the store's own records count, so IDs such as "constructor" are never found.
+     * @param {string} productId The product ID.
+     * @returns True if the product exists.
+     */
+    hasProduct(productId) {
+        return Object.prototype.hasOwnProperty.call(this.products, productId);
+    }
+
+    /**
+     * Determines if a version exists. Only the store's own records count, so IDs such as "constructor" are never found.
+     * @param {string} versionId The version ID.
+     * @returns True if the version exists.
+     */
+    hasVersion(versionId) {
+        return Object.prototype.hasOwnProperty.call(this.versions, versionId);
+    }
+
+    /**
+     * Determines if a spec is registered. Only the registry's own records count, so names such as "constructor" are never found.
+     * @param {string} spec The name of the spec.
+     * @returns True if the spec is registered.
+     */
+    hasSpec(spec) {
+        return Object.prototype.hasOwnProperty.call(this.specs, spec);
+    }
+
+    /**
+     * Generates the next product ID for this store.
+     * @returns A new product ID
+     */
+    generateProductId() {
+        const idString = `p${this.prodId}`;
+        this.prodId++;
+        return idString;
+    }
+
+    /**
+     * Generates the next version ID for this store.
+     * @returns A new version ID
+     */
+    generateVersionId() {
+        const idString = `v${this.verId}`;
+        this.verId++;
+        return idString;
+    }
+
+    /**
+     * Calculates compatibility for a product based on its versions and the version's dependencies.
+     * @param {string} productId ID of the product.
+     * @returns An array of specs that describes the specs that this product is compatible with.
+     */
+    calculateCompatibility(productId) {
+        const product = this.products[productId];
+        return _.union(...product.versions.map((versionId) => this.calculateVersionCompatibility(versionId)));
+    }
+
+    /**
+     * Calculates compatibility for a version: the specs it supports that all of its dependencies are compatible with.
+     * @param {string} versionId ID of the version.
+     * @returns An array of specs that describes the specs that this version is compatible with.
+     */
+    calculateVersionCompatibility(versionId) {
+        const version = this.versions[versionId];
+        return version.dependencies.reduce((compat, dependency) => this.intersectSpecs(compat, this.dependencyCompatibility(dependency)), this.withoutRetired(version.supports));
+    }
+
+    /**
+     * Expands a spec array with every spec it implies, following the implication rules of the registry transitively.
+     * @param {array} specs An array of specs.
+     * @returns A new array holding the passed specs followed by the specs they imply.
+     */
+    expandSpecs(specs) {
+        const expanded = [...specs];
+        for (let i = 0; i < expanded.length; i++) {
+            const record = this.hasSpec(expanded[i]) && this.specs[expanded[i]];
+            for (const implied of (record && record.implies) || []) {
+                if (!expanded.includes(implied)) expanded.push(implied);
+            }
+        }
+        return expanded;
+    }
+
+    /**
+     * Intersects the specs a version wants with the specs something provides, respecting implication rules:
+     * a wanted spec is kept when the provided specs include it or imply it.
+     * @param {array} wanted An array of specs.
+     * @param {array} provided An array of specs.
+     * @returns The wanted specs that are provided, in their original order.
+     */
+    intersectSpecs(wanted, provided) {
+        const available = this.expandSpecs(provided);
+        return wanted.filter((spec) => available.includes(spec));
+    }
+
+    /**
+     * Filters retired specs out of a spec array. Specs missing from the registry are kept, so that older data still calculates.
+     * @param {array} specs An array of specs.
+     * @returns A new array of specs.
+     */
+    withoutRetired(specs) {
+        return specs.filter((spec) => !(this.hasSpec(spec) && this.specs[spec].status === "retired"));
+    }
+
+    /**
+     * Determines the specs a dependency provides. A dependency on a whole product provides the product's compatibility,
+     * a dependency with a range provides the combined compatibility of the versions inside the range.
+     * A dependency on a product that does not exist provides nothing, see checkIntegrity().
+     * @param {string|object} dependency A product ID or an object with a product ID and a semver range.
+     * @returns An array of specs.
+     */
+    dependencyCompatibility(dependency) {
+        const { product, range } = parseDependency(dependency);
+        if (!this.hasProduct(product)) return [];
+        if (!range) return this.products[product].compatible;
+        return _.union(...this.findMatchingVersions(product, range).map((versionId) => this.versions[versionId].compatible));
+    }
+
+    /**
+     * Finds the versions of a product whose label falls inside a range.
+     * @param {string} productId ID of the product.
+     * @param {string} range A semver range.
+     * @returns An array of version IDs.
+     */
+    findMatchingVersions(productId, range) {
+        return this.products[productId].versions.filter((versionId) => labelMatches(this.versions[versionId].label, range));
+    }
+
+    /**
+     * Determines if a dependency provides a spec, directly or through a spec that implies it.
+     * @param {string|object} dependency A product ID or an object with a product ID and a semver range.
+     * @param {string} spec The spec.
+     * @returns True if the dependency provides the spec.
+     */
+    providesSpec(dependency, spec) {
+        return this.expandSpecs(this.dependencyCompatibility(dependency)).includes(spec);
+    }
+
+    /**
+     * Recalculates and stores the compatibility of a product and each of its versions.
+     * @param {string} productId ID of the product.
+     * @returns True if any stored compatibility changed.
+     */
+    updateCompatibility(productId) {
+        let changed = false;
+        for (const versionId of this.products[productId].versions) {
+            const compat = this.calculateVersionCompatibility(versionId);
+            if (_.isEqual(compat, this.versions[versionId].compatible)) continue;
+            this.touch("versions", versionId);
+            this.versions[versionId].compatible = compat;
+            changed = true;
+        }
+        const compat = _.union(...this.products[productId].versions.map((versionId) => this.versions[versionId].compatible));
+        if (!_.isEqual(compat, this.products[productId].compatible)) {
+            this.touch("products", productId);
+            this.products[productId].compatible = compat;
+            changed = true;
+        }
+        return changed;
+    }
+
+    /**
+     * Sets the compatibility for a product to some update spec array. Does not determine the validity of the array.
+     * Every product that depends on this product, directly or through other products, then has its compatibility recalculated, see recalculate().
+     * If the passed product is itself part of a cycle, its compatibility is recalculated with the rest of the cycle instead of set to newCompats.
+     * @param {string} productId The product ID of the product to be updated.
+     * @param {array} newCompats An array of specs describing the new compatibility of passed product ID
+     * @param {object} updated An object that receives productId:array for every product that has had its compatibility recalculated.
+     * The array is the path of product IDs, starting at the passed product, through which the recalculation reached the product.
+     */
+    setCompatibility(productId, newCompats, updated = {}) {
+        this.touch("products", productId);
+        this.products[productId].compatible = newCompats;
+        if (this.debug) console.log(`Updated ${productId}`, this.products[productId].compatible);
+        this.recalculate([productId], updated, [productId]);
+    }
+
+    /**
+     * Recalculates the compatibility of some products and of every product that depends on them, directly or through other products.
+     * Each product is recalculated exactly once, in dependency order. Products that depend on each other in a cycle are recalculated together, see resolveCycle().
+     * @param {array} productIds The product IDs where the recalculation starts.
+     * @param {object} updated An object that receives productId:array for every product that has had its compatibility recalculated.
+     * The array is the path of product IDs, starting at one of the passed products, through which the recalculation reached the product.
+     * @param {array} keep Passed product IDs whose current compatibility is kept, unless they are part of a cycle.
+     */
+    recalculate(productIds, updated = {}, keep = []) {
+        const paths = {};
+        const queue = [];
+        for (const productId of productIds) {
+            if (paths[productId]) continue;
+            paths[productId] = [productId];
+            queue.push(productId);
+        }
+        for (let i = 0; i < queue.length; i++) {
+            for (const dependent of this.findDependents(queue[i])) {
+                if (paths[dependent]) continue;
+                paths[dependent] = [...paths[queue[i]], dependent];
+                queue.push(dependent);
+            }
+        }
+        const components = stronglyConnectedComponents(queue, (id) => this.findDependencies(id).filter((dep) => paths[dep]));
+        for (const component of components) {
+            if (this.isCycle(component)) {
+                this.resolveCycle(component);
+            } else if (!keep.includes(component[0])) {
+                if (this.debug) console.log(`${component[0]} requires an update since it depends on ${paths[component[0]][0]}. Compatibility was`, this.products[component[0]].compatible);
+                this.updateCompatibility(component[0]);
+                if (this.debug) console.log(`New calculated compatibility of ${component[0]} is`, this.products[component[0]].compatible);
+            }
+            for (const id of component) updated[id] = paths[id];
+        }
+        if (this.debug) console.log(updated);
+    }
+
+    /**
+     * Recalculates products as recalculate() does, unless a transaction is running, in which case the products are recalculated
+     * together when the transaction ends, see transaction().
+     * @param {array} productIds The product IDs where the recalculation starts.
+     * @param {object} updated An object that receives the recalculated products, see recalculate(). Left empty inside a transaction.
+     */
+    refresh(productIds, updated = {}) {
+        if (this.pending.deferred) this.pending.deferred.roots.push(...productIds);
+        else this.recalculate(productIds, updated);
+    }
+
+    /**
+     * Calculates the compatibility of every product in a cycle and of their versions. The cycle starts out compatible with every spec its versions support,
+     * then each product is recalculated until nothing changes. The result is the largest set of specs that the products can support together,
+     * so it does not depend on the order in which the products were updated.
+     * All products the cycle depends on outside of itself must already be up to date.
+     * @param {array} component The product IDs in the cycle.
+     */
+    resolveCycle(component) {
+        for (const id of component) {
+            for (const versionId of this.products[id].versions) {
+                this.touch("versions", versionId);
+                this.versions[versionId].compatible = this.withoutRetired(this.versions[versionId].supports);
+            }
+            this.touch("products", id);
+            this.products[id].compatible = _.union(...this.products[id].versions.map((versionId) => this.versions[versionId].compatible));
+        }
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (const id of component) {
+                if (this.updateCompatibility(id)) changed = true;
+            }
+        }
+        if (this.debug) console.log(`Resolved cycle ${component.join(" -> ")}`, component.map((id) => this.products[id].compatible));
+    }
+
+    /**
+     * Determines if a strongly connected component is a cycle, meaning it has more than one product or a product that depends on itself.
+     * @param {array} component The product IDs in the component.
+     * @returns True if the component is a cycle.
+     */
+    isCycle(component) {
+        return component.length > 1 || this.findDependencies(component[0]).includes(component[0]);
+    }
+
+    /**
+     * Lists the dependency cycles currently in the DB.
+     * @returns An array of cycles, each an array of the product IDs that depend on each other.
+     */
+    listCycles() {
+        return stronglyConnectedComponents(Object.keys(this.products), (id) => this.findDependencies(id))
+            .filter((component) => this.isCycle(component))
+            .sort((a, b) => Object.keys(this.products).indexOf(a[0]) - Object.keys(this.products).indexOf(b[0]));
+    }
+
+    /**
+     * Picks one concrete version of a product and of every product it transitively depends on, all compatible with a spec.
+     * Newer versions are preferred. See lib/resolver.js.
+     * @param {string} productId ID of the product to resolve.
+     * @param {string} spec The spec to resolve for.
+     * @returns { resolved: true, lock } with a productId:{ version, label } lock, or { resolved: false, reasons } explaining why no set of versions works.
+     * @throws {UnknownProductError} If the product does not exist.
+     */
+    resolve(productId, spec) {
+        if (!this.hasProduct(productId)) throw new UnknownProductError(productId);
+        return resolver.resolve(this, productId, spec);
+    }
+
+    /**
+     * Exports the products and versions as a graph, with every node labelled by its specs. See lib/export.js.
+     * @param {string} format "dot" for Graphviz, "mermaid" for a Mermaid flowchart or "json" for a plain adjacency object.
+     * @param {object} options An object of { spec }. When a spec is given, the dependencies that removed it from a version are highlighted.
+     * @returns The DOT or Mermaid source, or the adjacency object.
+     * @throws {UnknownFormatError} If the format is not supported.
+     */
+    exportGraph(format, { spec = null } = {}) {
+        const formats = { dot: exporters.toDot, mermaid: exporters.toMermaid, json: exporters.toAdjacency };
+        if (!formats[format]) throw new UnknownFormatError(format, Object.keys(formats));
+        return formats[format](this, { spec });
+    }
+
+    /**
+     * Finds the products that the versions of a product depend on. Dependencies on products that do not exist are left out, see checkIntegrity().
+     * @param {string} productId ID of the product.
+     * @returns An array of product IDs.
+     */
+    findDependencies(productId) {
+        const dependencies = _.union(...this.products[productId].versions.map((versionId) => this.versions[versionId].dependencies.map((dependency) => parseDependency(dependency).product)));
+        return dependencies.filter((dependency) => this.hasProduct(dependency));
+    }
+
+    /**
+     * Finds the products that have a version depending on a product, using the reverse dependency index.
+     * @param {string} productId ID of the product.
+     * @returns An array of product IDs.
+     */
+    findDependents(productId) {
+        const dependents = new Set();
+        for (const versionId of this.dependents[productId] || []) dependents.add(this.versions[versionId].product);
+        return [...dependents];
+    }
+
+    /**
+     * Builds the dependency tree of a product. Each product node lists its versions, and each version lists its dependencies as product nodes.
+     * A product that was already expanded elsewhere in the tree is marked deduped instead of expanded again,
+     * and a product that depends on one of its own ancestors is marked circular. A dependency on a product that does not exist is marked missing.
+     * @param {string} productId ID of the root product.
+     * @returns A node of { product, compatible, versions: [{ version, label, supports, compatible, dependencies: [{ range, ...node }] }] }.
+     * @throws {UnknownProductError} If the product does not exist.
+     */
+    dependencyTree(productId) {
+        if (!this.hasProduct(productId)) throw new UnknownProductError(productId);
+        const expanded = new Set();
+        const build = (id, ancestors) => {
+            if (!this.hasProduct(id)) return { product: id, compatible: [], missing: true };
+            const node = {
+                product: id,
+                compatible: this.products[id].compatible,
+            };
+            if (ancestors.includes(id)) return Object.assign(node, { circular: true });
+            if (expanded.has(id)) return Object.assign(node, { deduped: true });
+            expanded.add(id);
+            node.versions = this.products[id].versions.map((versionId) => {
+                const version = this.versions[versionId];
+                return {
+                    version: versionId,
+                    label: version.label || null,
+                    supports: version.supports,
+                    compatible: version.compatible,
+                    dependencies: version.dependencies.map((dependency) => {
+                        const { product, range } = parseDependency(dependency);
+                        return Object.assign({ range }, build(product, [...ancestors, id]));
+                    }),
+                };
+            });
+            return node;
+        };
+        return build(productId, []);
+    }
+
+    /**
+     * Explains why a product is or is not compatible with a spec. Every version reports whether it declares the spec and which of its dependencies
+     * fail to provide it; each failing dependency is explained in turn, limited to the versions inside its range, down to the versions that
+     * do not declare the spec. A product that was already explained elsewhere in the tree for the same range is marked deduped,
+     * and a product that depends on one of its own ancestors is marked circular. A dependency on a product that does not exist is marked missing.
+     * @param {string} productId ID of the product.
+     * @param {string} spec The spec to explain.
+     * @returns A node of { product, range, compatible, versions: [{ version, label, declared, retired, compatible, dependencies: [{ product, range, provides, node }] }] }
+     * where compatible and provides are booleans, and node is the explanation of a dependency that does not provide the spec.
+     * @throws {UnknownProductError} If the product does not exist.
+     */
+    explain(productId, spec) {
+        if (!this.hasProduct(productId)) throw new UnknownProductError(productId);
+        const retired = this.withoutRetired([spec]).length === 0;
+        const explained = new Set();
+        const build = (id, range, ancestors) => {
+            if (!this.hasProduct(id)) return { product: id, range, compatible: false, missing: true };
+            const node = {
+                product: id,
+                range,
+                compatible: range ? this.providesSpec({ product: id, range }, spec) : this.expandSpecs(this.products[id].compatible).includes(spec),
+            };
+            const key = `${id}@${range || "*"}`;
+            if (ancestors.includes(id)) return Object.assign(node, { circular: true });
+            if (explained.has(key)) return Object.assign(node, { deduped: true });
+            explained.add(key);
+            const versionIds = range ? this.findMatchingVersions(id, range) : this.products[id].versions;
+            node.versions = versionIds.map((versionId) => {
+                const version = this.versions[versionId];
+                return {
+                    version: versionId,
+                    label: version.label || null,
+                    declared: version.supports.includes(spec),
+                    retired,
+                    compatible: this.expandSpecs(version.compatible).includes(spec),
+                    dependencies: version.dependencies.map((dependency) => {
+                        const parsed = parseDependency(dependency);
+                        const provides = this.providesSpec(dependency, spec);
+                        return Object.assign(parsed, {
+                            provides,
+                            node: provides ? null : build(parsed.product, parsed.range, [...ancestors, id]),
+                        });
+                    }),
+                };
+            });
+            return node;
+        };
+        return Object.assign({ spec }, build(productId, null, []));
+    }
+
+    /**
+     * Creates or updates a version and adds it to the product. If the version includes specs that its dependencies do not support, an UnsupportedSpecError is thrown
+     * and nothing is created or updated.
+     * The passed dependencies must be compatibile with all specs in the supports array. The parent product will have its compatibility updated and will trigger
+     * a recalculation of compatibilities for all dependencies.
+     * @param {string} productId The product ID of the product to be used as the parent for the version
+     * @param {string} versionId The version ID to be used. Null or undefined will cause an ID to be generated.
+     * @param {array} supports An array of specs that this version wishes to support.
+     * @param {array} dependencies The dependencies for this version. Each is a product ID, which accepts every version of the product,
+     * or an object such as { product: "p0", range: ">=2.0 <3" }, which only accepts the versions whose label falls inside the semver range.
+     * @param {object} options
+     * @param {string} options.label The semver label of the version, such as "2.1.0". An updated version keeps its label when none is passed.
+     * @returns The new version id
+     * @throws {UnknownProductError} If the product or one of the dependencies does not exist.
+     * @throws {UnknownVersionError} If versionId is passed but is not a version of the product.
+     * @throws {InvalidLabelError} If the label is not a valid semver version.
+     * @throws {InvalidRangeError} If a dependency range is not a valid semver range.
+     * @throws {InvalidListError} If supports or dependencies is not an array.
+     * @throws {InvalidDependencyError} If a dependency is neither a product ID nor an object of { product, range }.
+     * @throws {UnknownSpecError} If a supported spec is not registered.
+     * @throws {RetiredSpecError} If a supported spec has been retired.
+     * @throws {UnsupportedSpecError} If a dependency is not compatible with one of the supported specs.
+     */
+    putVersion(productId, versionId, supports, dependencies, options = {}) {
+        return this.mutate(() => {
+            const updated = {};
+            const verId = this.applyVersion(productId, versionId, supports, dependencies, options, updated);
+            const version = this.versions[verId];
+            this.queue("versionPut", {
+                productId,
+                versionId: verId,
+                supports,
+                dependencies,
+                label: version.label || null,
+            });
+            this.collectChanges(updated, { productId, versionId: verId });
+            return verId;
+        }, (err) => this.emit("versionRejected", {
+            productId,
+            versionId: versionId || null,
+            error: err,
+        }));
+    }
+
+    /**
+     * Shows what putVersion would change without changing anything. The update is applied to a scratch copy of the DB.
+     * Takes the same arguments as putVersion and throws the same errors.
+     * @returns An object with the version ID and the changes, see collectChanges().
+     */
+    previewVersion(productId, versionId, supports, dependencies, options = {}) {
+        const scratch = this.fork();
+        return scratch.mutate(() => {
+            const updated = {};
+            const verId = scratch.applyVersion(productId, versionId, supports, dependencies, options, updated);
+            return {
+                versionId: verId,
+                changes: scratch.collectChanges(updated),
+            };
+        });
+    }
+
+    /**
+     * Describes how the running mutation changed the compatibility of every recalculated product.
+     * @param {object} updated The productId:path object filled in by recalculate().
+     * @param {object} trigger What caused the recalculation. When passed, a compatibilityChanged event is queued for every change.
+     * @returns An object of productId:{ before, after, added, removed, path }. Only existing products whose compatibility changed are listed.
+     * The path starts at the product where the recalculation started and ends at the listed product.
+     */
+    collectChanges(updated, trigger) {
+        const changes = {};
+        for (const productId in updated) {
+            if (!this.hasProduct(productId)) continue;
+            const original = this.pending.products.has(productId) ? this.pending.products.get(productId) : this.products[productId];
+            const before = original ? original.compatible : [];
+            const after = this.products[productId].compatible;
+            const added = _.difference(after, before);
+            const removed = _.difference(before, after);
+            if (added.length === 0 && removed.length === 0) continue;
+            changes[productId] = {
+                before,
+                after,
+                added,
+                removed,
+                path: updated[productId],
+            };
+            if (trigger) this.queue("compatibilityChanged", Object.assign({ productId, trigger }, changes[productId]));
+        }
+        return changes;
+    }
+
+    /**
+     * Creates a store without storage that holds a copy of this DB, without its history.
+     * @returns The scratch DependencyStore.
+     */
+    fork() {
+        const scratch = new DependencyStore({ debug: this.debug });
+        scratch.restore(this.snapshot({ history: false }));
+        return scratch;
+    }
+
+    /**
+     * Performs putVersion inside the running mutation.
+     * @param {object} updated Receives the productId:path object of the recalculation, see recalculate().
+     * @returns The new version id
+     */
+    applyVersion(productId, versionId, supports, dependencies, options = {}, updated = {}) {
+        if (this.debug) console.log("---------------------------------------------------------------------------------------------------------------");
+        if (!this.hasProduct(productId)) throw new UnknownProductError(productId);
+        if (versionId && !(this.hasVersion(versionId) && this.versions[versionId].product === productId)) {
+            throw new UnknownVersionError(versionId, productId);
+        }
+        if (!Array.isArray(supports)) throw new InvalidListError("supports", supports);
+        if (!Array.isArray(dependencies)) throw new InvalidListError("dependencies", dependencies);
+        const unknownSpecs = supports.filter((spec) => !this.hasSpec(spec));
+        if (unknownSpecs.length > 0) throw new UnknownSpecError(unknownSpecs);
+        const retiredSpecs = _.difference(supports, this.withoutRetired(supports));
+        if (retiredSpecs.length > 0) throw new RetiredSpecError(retiredSpecs);
+        for (const dependency of dependencies) {
+            if (!isDependency(dependency)) throw new InvalidDependencyError(dependency);
+            const { product, range } = parseDependency(dependency);
+            if (!this.hasProduct(product)) throw new UnknownProductError(product);
+            if (range && !semver.validRange(range)) throw new InvalidRangeError(product, range);
+        }
+        const label = options.label !== undefined ? options.label : versionId && this.versions[versionId].label;
+        if (label && !semver.valid(label)) throw new InvalidLabelError(label);
+        const verId = versionId || this.generateVersionId();
+        this.touch("products", productId);
+        this.touch("versions", verId);
+        if (!versionId) this.products[productId].versions.push(verId);
+        else this.unindexVersion(verId);
+        this.versions[verId] = {
+            product: productId,
+            supports,
+            dependencies,
+            compatible: [],
+        };
+        if (label) this.versions[verId].label = label;
+        this.indexVersion(verId);
+        this.refresh([productId], updated);
+        if (this.pending.deferred) {
+            const checks = this.pending.deferred.checks;
+            if (!checks.has(verId)) checks.set(verId, versionId);
+            return verId;
+        }
+        // Checked after the recalculation since dependencies in a cycle with this product are affected by the version itself.
+        // The running mutation is rolled back when the version is rejected.
+        this.checkVersion(verId, versionId);
+        return verId;
+    }
+
+    /**
+     * Rejects a version whose dependencies do not provide every spec it supports. Must run after the recalculation.
+     * @param {string} verId ID of the version to check.
+     * @param {string} versionId The version ID putVersion was called with, null when the version was created.
+     * @throws {UnsupportedSpecError} If a dependency does not provide one of the supported specs.
+     */
+    checkVersion(verId, versionId) {
+        const { product, supports, dependencies } = this.versions[verId];
+        const missing = this.findMissingSpecs(supports, dependencies);
+        if (this.debug) console.log(`${verId} wants to support`, supports, `and it's dependencies are missing`, missing);
+        if (!_.isEmpty(missing)) {
+            if (this.debug) console.log(`${verId} cannot be created because it's supplied dependencies are missing support for`, Object.keys(missing));
+            throw new UnsupportedSpecError(product, versionId, missing);
+        }
+    }
+
+    /**
+     * Runs several creates, updates and removals as one unit. Inside the transaction, putVersion, removeVersion and removeProduct change the records
+     * right away but leave compatibility alone; every affected product is recalculated once when the transaction ends, and only then are the put versions
+     * checked against their dependencies. If any call or check throws, the whole transaction is rolled back and nothing is committed or emitted,
+     * except versionRejected for a version that fails the check.
+     * The compatibility of versions and products read inside the transaction is therefore stale, and the changes returned by each call are empty.
+     * Nested transactions join the outer one.
+     * @param {function} fn Receives the store and performs the calls.
+     * @returns An object with the return value of fn as result and the changes, see collectChanges(). Paths start at a product changed by the transaction.
+     * @throws {UnsupportedSpecError} If a put version supports a spec that its dependencies do not provide once everything is recalculated.
+     */
+    transaction(fn) {
+        // The version being checked when the transaction ends, reported as rejected if the check throws
+        let checking = null;
+        return this.mutate(() => {
+            if (this.pending.deferred) return { result: fn(this), changes: {} };
+            this.pending.deferred = { roots: [], checks: new Map() };
+            const result = fn(this);
+            const { roots, checks } = this.pending.deferred;
+            this.pending.deferred = null;
+            const productIds = _.uniq(roots).filter((productId) => this.hasProduct(productId));
+            const updated = {};
+            this.recalculate(productIds, updated);
+            for (const [verId, versionId] of checks) {
+                if (!this.hasVersion(verId)) continue;
+                checking = { productId: this.versions[verId].product, versionId };
+                this.checkVersion(verId, versionId);
+            }
+            checking = null;
+            return {
+                result,
+                changes: this.collectChanges(updated, { productIds }),
+            };
+        }, (err) => {
+            if (checking) this.emit("versionRejected", Object.assign(checking, { error: err }));
+        });
+    }
+
+    /**
+     * Removes a version from its product. The product and every product that depends on it have their compatibility recalculated.
+     * @param {string} versionId The version ID to remove.
+     * @returns An object with the version ID and the changes, see collectChanges().
+     * @throws {UnknownVersionError} If the version does not exist.
+     */
+    removeVersion(versionId) {
+        return this.mutate(() => {
+            if (!this.hasVersion(versionId)) throw new UnknownVersionError(versionId);
+            const productId = this.versions[versionId].product;
+            this.deleteVersion(versionId);
+            const updated = {};
+            this.refresh([productId], updated);
+            return {
+                versionId,
+                changes: this.collectChanges(updated, { productId, versionId }),
+            };
+        });
+    }
+
+    /**
+     * Removes a product and all of its versions. The product is refused while versions of other products depend on it,
+     * unless cascade is set, in which case those versions are removed as well and their products have their compatibility recalculated.
+     * @param {string} productId The product ID to remove.
+     * @param {object} options
+     * @param {boolean} options.cascade Removes the versions of other products that depend on this product.
+     * @returns An object with the product ID, the removed version IDs and the changes, see collectChanges(). Paths start at the removed product.
+     * @throws {UnknownProductError} If the product does not exist.
+     * @throws {ProductInUseError} If versions of other products depend on the product and cascade is not set.
+     */
+    removeProduct(productId, { cascade = false } = {}) {
+        return this.mutate(() => {
+            if (!this.hasProduct(productId)) throw new UnknownProductError(productId);
+            const dependents = [...this.dependents[productId] || []].filter((versionId) => this.versions[versionId].product !== productId);
+            if (dependents.length > 0 && !cascade) throw new ProductInUseError(productId, dependents);
+            const versionIds = [...dependents, ...this.products[productId].versions];
+            const dependentProducts = _.uniq(dependents.map((versionId) => this.versions[versionId].product));
+            versionIds.forEach((versionId) => this.deleteVersion(versionId));
+            this.touch("products", productId);
+            delete this.products[productId];
+            const updated = {};
+            this.refresh(dependentProducts, updated);
+            for (const id in updated) updated[id] = [productId, ...updated[id]];
+            return {
+                productId,
+                versionIds,
+                changes: this.collectChanges(updated, { productId }),
+            };
+        });
+    }
+
+    /**
+     * Deletes a version record and takes it off its product, without recalculating anything.
+     * @param {string} versionId The version ID to delete.
+     */
+    deleteVersion(versionId) {
+        const productId = this.versions[versionId].product;
+        this.touch("products", productId);
+        this.touch("versions", versionId);
+        this.products[productId].versions = _.without(this.products[productId].versions, versionId);
+        this.unindexVersion(versionId);
+        delete this.versions[versionId];
+    }
+
+    /**
+     * Finds the specs that the dependencies of a version do not support.
+     * @param {array} supports An array of specs that the version wishes to support.
+     * @param {array} dependencies The dependencies of the version.
+     * @returns An object of spec:array, listing the product IDs of the dependencies that lack each spec. Empty if every spec is supported.
+     */
+    findMissingSpecs(supports, dependencies) {
+        return supports.reduce((missing, spec) => {
+            const lacking = dependencies
+                .filter((dependency) => !this.providesSpec(dependency, spec))
+                .map((dependency) => parseDependency(dependency).product);
+            if (lacking.length > 0) missing[spec] = lacking;
+            return missing;
+        }, {});
+    }
+
+    /**
+     * Creates a new product.
+     * @param {object} options An object of { name }. The name is optional and must be unique, see findProduct().
+     * @returns A new product ID
+     * @throws {DuplicateProductError} If another product already has the name.
+     */
+    createProduct({ name } = {}) {
+        return this.mutate(() => {
+            if (name && this.findProduct(name)) throw new DuplicateProductError(name, this.findProduct(name));
+            const id = this.generateProductId();
+            this.touch("products", id);
+            this.products[id] = {
+                compatible: [],
+                versions: [],
+            }
+            if (name) this.products[id].name = name;
+            return id;
+        });
+    }
+
+    /**
+     * Finds a product by the name it was created with.
+     * @param {string} name The product name.
+     * @returns The product ID, or null if no product has the name.
+     */
+    findProduct(name) {
+        return _.findKey(this.products, (product) => product.name === name) || null;
+    }
+
+    /**
+     * Imports npm-style packages: every package becomes a named product and every package version a labelled version,
+     * put in dependency order. See lib/import.js.
+     * @param {string|array} source A directory of package.json files, a package-lock.json file, or an array of packages as returned by readPackages().
+     * @param {object} options An object of { specField, registerSpecs }, see importPackages() in lib/import.js.
+     * @returns The import report, which lists the versions that were rejected instead of throwing.
+     */
+    importPackages(source, options = {}) {
+        const packages = typeof source === "string" ? importer.readPackages(source) : source;
+        return importer.importPackages(this, packages, options);
+    }
+
+    /**
+     * Registers a new spec that versions can then support.
+     * @param {string} spec The name of the spec.
+     * @param {object} metadata Any information to keep with the spec, such as a description.
+     * @returns The spec record.
+     * @throws {DuplicateSpecError} If the spec is already registered.
+     */
+    registerSpec(spec, metadata = {}) {
+        return this.mutate(() => {
+            if (this.hasSpec(spec)) throw new DuplicateSpecError(spec);
+            this.touch("specs", spec);
+            this.specs[spec] = {
+                status: "active",
+                metadata,
+                implies: [],
+            };
+            return this.specs[spec];
+        });
+    }
+
+    /**
+     * Marks a spec as deprecated. Deprecated specs keep working, the status only informs publishers.
+     * @param {string} spec The name of the spec.
+     * @param {object} metadata Information merged into the spec's metadata, such as what replaces it.
+     * @returns The spec record.
+     * @throws {UnknownSpecError} If the spec is not registered.
+     */
+    deprecateSpec(spec, metadata = {}) {
+        return this.mutate(() => this.setSpecStatus(spec, "deprecated", metadata));
+    }
+
+    /**
+     * Retires a spec. Versions can no longer support it, and it is removed from every compatible list through the normal recalculation:
+     * every product with a version supporting the spec is recalculated along with everything that depends on it.
+     * @param {string} spec The name of the spec.
+     * @param {object} metadata Information merged into the spec's metadata.
+     * @returns An object with the spec and the changes, see collectChanges().
+     * @throws {UnknownSpecError} If the spec is not registered.
+     */
+    retireSpec(spec, metadata = {}) {
+        return this.mutate(() => {
+            this.setSpecStatus(spec, "retired", metadata);
+            const productIds = _.uniq(Object.values(this.versions).filter((version) => version.supports.includes(spec)).map((version) => version.product));
+            const updated = {};
+            this.refresh(productIds, updated);
+            return {
+                spec,
+                changes: this.collectChanges(updated, { spec }),
+            };
+        });
+    }
+
+    /**
+     * Declares that one spec implies another, for example because it is a superset of it. A dependency compatible with the spec
+     * then satisfies versions that want the implied spec. Every product is recalculated under the new rule.
+     * @param {string} spec The implying spec.
+     * @param {string} implied The implied spec.
+     * @returns An object with the rule and the changes, see collectChanges().
+     * @throws {UnknownSpecError} If either spec is not registered.
+     */
+    implySpec(spec, implied) {
+        return this.mutate(() => {
+            this.addImplication(spec, implied);
+            return {
+                implies: [spec, implied],
+                changes: this.recalculateAll({ spec }),
+            };
+        });
+    }
+
+    /**
+     * Declares that two specs are equivalent, meaning each implies the other. Every product is recalculated under the new rule.
+     * @param {string} spec One spec.
+     * @param {string} other The other spec.
+     * @returns An object with the rule and the changes, see collectChanges().
+     * @throws {UnknownSpecError} If either spec is not registered.
+     */
+    equateSpecs(spec, other) {
+        return this.mutate(() => {
+            this.addImplication(spec, other);
+            this.addImplication(other, spec);
+            return {
+                equivalent: [spec, other],
+                changes: this.recalculateAll({ spec }),
+            };
+        });
+    }
+
+    /**
+     * Adds an implication rule inside the running mutation.
+     * @param {string} spec The implying spec.
+     * @param {string} implied The implied spec.
+     */
+    addImplication(spec, implied) {
+        const unknown = [spec, implied].filter((name) => !this.hasSpec(name));
+        if (unknown.length > 0) throw new UnknownSpecError(unknown);
+        this.touch("specs", spec);
+        this.specs[spec] = Object.assign({}, this.specs[spec], {
+            implies: _.union(this.specs[spec].implies || [], [implied]),
+        });
+    }
+
+    /**
+     * Recalculates every product inside the running mutation.
+     * @param {object} trigger What caused the recalculation, see collectChanges().
+     * @returns The changes, see collectChanges().
+     */
+    recalculateAll(trigger) {
+        const updated = {};
+        this.recalculate(Object.keys(this.products), updated);
+        return this.collectChanges(updated, trigger);
+    }
+
+    /**
+     * Changes the status of a registered spec inside the running mutation.
+     * @param {string} spec The name of the spec.
+     * @param {string} status The new status.
+     * @param {object} metadata Information merged into the spec's metadata.
+     * @returns The spec record.
+     */
+    setSpecStatus(spec, status, metadata) {
+        if (!this.hasSpec(spec)) throw new UnknownSpecError([spec]);
+        this.touch("specs", spec);
+        this.specs[spec] = Object.assign({}, this.specs[spec], {
+            status,
+            metadata: Object.assign({}, this.specs[spec].metadata, metadata),
+        });
+        return this.specs[spec];
+    }
+
+    /**
+     * Lists the registered specs.
+     * @param {string} status Only lists the specs with this status ("active", "deprecated" or "retired") when passed.
+     * @returns An array of spec names.
+     */
+    listSpecs(status) {
+        return Object.keys(this.specs).filter((spec) => !status || this.specs[spec].status === status);
+    }
+
+    /**
+     * Builds the records of a freshly registered set of specs.
+     * @param {array} specs The spec names.
+     * @returns An object of spec:record.
+     */
+    seedSpecs(specs) {
+        return specs.reduce((records, spec) => {
+            records[spec] = {
+                status: "active",
+                metadata: {},
+                implies: [],
+            };
+            return records;
+        }, {});
+    }
+
+    /**
+     * Runs calls on the store on behalf of an actor, who is recorded on the history entries of every mutation made by fn.
+     * @param {string} actor Who makes the changes, such as a user name.
+     * @param {function} fn Receives the store and performs the calls.
+     * @returns The return value of fn.
+     */
+    withActor(actor, fn) {
+        const previous = this.actor;
+        this.actor = actor;
+        try {
+            return fn(this);
+        } finally {
+            this.actor = previous;
+        }
+    }
+
+    /**
+     * Lists the history entries, oldest first. Every committed mutation that changed something has one entry of
+     * { at, actor, products, versions, specs }, where each collection maps the changed IDs to { before, after } records.
+     * @param {object} filter
+     * @param {string} filter.productId Only lists entries that changed the product or one of its versions.
+     * @param {string} filter.versionId Only lists entries that changed the version.
+     * @param {Date|string|number} filter.since Only lists entries made at or after this time.
+     * @param {Date|string|number} filter.until Only lists entries made at or before this time.
+     * @returns A copy of the matching entries.
+     * @throws {InvalidTimeError} If a time cannot be read as a date.
+     */
+    listHistory({ productId, versionId, since, until } = {}) {
+        const from = since === undefined ? -Infinity : toTime(since);
+        const to = until === undefined ? Infinity : toTime(until);
+        const ofProduct = (change) => [change.before, change.after].some((version) => version && version.product === productId);
+        return _.cloneDeep(this.history.filter((entry) => {
+            const at = Date.parse(entry.at);
+            if (at < from || at > to) return false;
+            if (versionId !== undefined && !entry.versions[versionId]) return false;
+            if (productId !== undefined && !entry.products[productId] && !Object.values(entry.versions).some(ofProduct)) return false;
+            return true;
+        }));
+    }
+
+    /**
+     * Rebuilds the DB as it was at a point in time, by undoing every history entry made after it.
+     * State committed before the history was kept counts as having always been there.
+     * @param {Date|string|number} time The point in time.
+     * @returns An object holding the products, versions and specs at that time.
+     * @throws {InvalidTimeError} If the time cannot be read as a date.
+     */
+    stateAt(time) {
+        const at = toTime(time);
+        const state = _.cloneDeep(_.pick(this, COLLECTIONS));
+        for (let i = this.history.length - 1; i >= 0 && Date.parse(this.history[i].at) > at; i--) {
+            for (const collection of COLLECTIONS) {
+                for (const id in this.history[i][collection]) {
+                    const { before } = this.history[i][collection][id];
+                    if (before === null) delete state[collection][id];
+                    else state[collection][id] = _.cloneDeep(before);
+                }
+            }
+        }
+        return state;
+    }
+
+    /**
+     * Determines which specs a product was compatible with at a point in time.
+     * @param {string} productId ID of the product.
+     * @param {Date|string|number} time The point in time.
+     * @returns An array of specs, or null if the product did not exist at that time.
+     * @throws {InvalidTimeError} If the time cannot be read as a date.
+     */
+    compatibleAt(productId, time) {
+        const at = toTime(time);
+        let product = this.hasProduct(productId) ? this.products[productId] : null;
+        for (let i = this.history.length - 1; i >= 0 && Date.parse(this.history[i].at) > at; i--) {
+            const changes = this.history[i].products;
+            if (Object.prototype.hasOwnProperty.call(changes, productId)) product = changes[productId].before;
+        }
+        return product ? [...product.compatible] : null;
+    }
+
+    /**
+     * Compares the DB at two points in time.
+     * @param {Date|string|number} from The earlier point in time.
+     * @param {Date|string|number} to The later point in time. Defaults to now.
+     * @returns An object holding the products, versions and specs that differ, each mapping IDs to { before, after } records.
+     * Records that did not exist at a point in time are null.
+     * @throws {InvalidTimeError} If a time cannot be read as a date.
+     */
+    diff(from, to = this.clock()) {
+        const before = this.stateAt(from);
+        const after = this.stateAt(to);
+        const changes = {};
+        for (const collection of COLLECTIONS) {
+            changes[collection] = {};
+            for (const id of _.union(Object.keys(before[collection]), Object.keys(after[collection]))) {
+                if (_.isEqual(before[collection][id], after[collection][id])) continue;
+                changes[collection][id] = {
+                    before: before[collection][id] || null,
+                    after: after[collection][id] || null,
+                };
+            }
+        }
+        return changes;
+    }
+
+    /**
+     * Checks the DB for inconsistencies, such as products that list missing versions, versions whose product does not list them,
+     * dependencies on removed products or stale compatible lists. The DB is not changed. See lib/integrity.js.
+     * @returns An object of category:array listing every issue found, where each issue holds a message, the IDs it concerns
+     * and whether repair() can fix it. Every category is listed, empty or not.
+     */
+    checkIntegrity() {
+        return integrity.checkIntegrity(this);
+    }
+
+    /**
+     * Repairs what checkIntegrity() reports as repairable, then recomputes every compatibility from scratch, as a single mutation.
+     * Version lists are rebuilt from the versions' own product field, orphaned versions are adopted by the product that lists them
+     * or get their product recreated, unregistered specs are registered and the ID counters are moved past the existing IDs.
+     * Issues that need a decision, such as dependencies on removed products, are left for the caller and listed as remaining.
+     * @returns An object of { found, remaining, changes } where found and remaining are reports as returned by checkIntegrity(),
+     * taken before and after the repair, and changes lists the products whose compatibility changed, see collectChanges().
+     */
+    repair() {
+        const found = this.checkIntegrity();
+        const changes = this.mutate(() => {
+            const updated = {};
+            integrity.repairRecords(this);
+            integrity.recomputeAll(this, updated);
+            return this.collectChanges(updated, { repair: true });
+        });
+        return {
+            found,
+            remaining: this.checkIntegrity(),
+            changes,
+        };
+    }
+
+    /**
+     * Resets the DB and debug setting. The specs go back to the defaults and the history is cleared. The reset is committed to storage.
+     */
+    reset() {
+        this.clear();
+        this.debug = false;
+        if (this.storage) this.commitAll();
+    }
+
+    /**
+     * Empties the DB in memory without touching storage.
+     */
+    clear() {
+        this.prodId = 0;
+        this.products = {};
+        this.verId = 0;
+        this.versions = {};
+        this.specs = this.seedSpecs(this.defaultSpecs);
+        this.history = [];
+        this.dependents = Object.create(null);
+    }
+
+    /**
+     * Logs DB info.
+     */
+    logInfo() {
+        console.log("---------------------------------------------------------------------------------------------------------------")
+        console.log(this.products);
+        console.log(this.versions);
+    }
+
+    /**
+     * Validates that the db state matches the expected state and ensures that all recorded compatibilites match the actual calculated compatibilities.
+     * Compatibilities must match in both directions: a stale spec left in a compatible list is a mismatch just like a missing one.
+     * @param {*} expected the expected DB state as a single object. When omitted only the compatibilities are checked.
+     * @returns A result string.
+     */
+    validate(expected) {
+        if (this.debug) this.logInfo();
+        for (let product in this.products) {
+            const calculated = this.calculateCompatibility(product);
+            const stored = this.products[product].compatible;
+            const difference = _.xor(this.expandSpecs(calculated), this.expandSpecs(stored));
+            if (this.debug) console.log(`${product} compatibility:`, calculated , "record:", stored, "difference:", difference);
+            if (difference.length > 0) {
+                return `Failed. Mismatch detected on ${product}.`;
+            }
+        }
+        for (let version in this.versions) {
+            const calculated = this.calculateVersionCompatibility(version);
+            const stored = this.versions[version].compatible;
+            const difference = _.xor(this.expandSpecs(calculated), this.expandSpecs(stored));
+            if (this.debug) console.log(`${version} compatibility:`, calculated , "record:", stored, "difference:", difference);
+            if (difference.length > 0) {
+                return `Failed. Mismatch detected on ${version}.`;
+            }
+        }
+        if (expected === undefined) return "Success.";
+        const result = _.isEqual(expected, {
+            products: this.products,
+            versions: this.versions,
+        });
+        if (!result) return "Failed. Expected db state does not match the actual state."
+        return "Success."
+    }
+}
+
+module.exports = DependencyStore;
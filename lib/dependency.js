@@ -0,0 +1,27 @@
+const semver = require("semver");
+
+/**
+ * Normalizes a version dependency. A dependency is either a product ID, which accepts every version of the product,
+ * or an object holding a product ID and a semver range, which only accepts the versions whose label falls inside the range.
+ * @param {string|object} dependency The dependency as stored on a version.
+ * @returns An object with the product ID and the range, which is null when every version is accepted.
+ */
+function parseDependency(dependency) {
+    if (typeof dependency === "string") return { product: dependency, range: null };
+    return { product: dependency.product, range: dependency.range || null };
+}
+
+/**
+ * Determines if a version label falls inside a range. Versions without a label never match a range.
+ * @param {string} label The semver label of the version, if any.
+ * @param {string} range The semver range.
+ * @returns True if the label satisfies the range.
+ */
+function labelMatches(label, range) {
+    return Boolean(label) && semver.satisfies(label, range);
+}
+
+module.exports = {
+    parseDependency,
+    labelMatches,
+};
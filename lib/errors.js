@@ -0,0 +1,228 @@
+/**
+ * Base class for every error thrown by a DependencyStore.
+ */
+class DependencyStoreError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Thrown when a product ID, either passed directly or listed as a dependency, does not exist.
+ */
+class UnknownProductError extends DependencyStoreError {
+    /**
+     * @param {string} productId The missing product ID.
+     */
+    constructor(productId) {
+        super(`Product ${productId} does not exist`);
+        this.productId = productId;
+    }
+}
+
+/**
+ * Thrown when a version ID does not exist, or does not belong to the product it was used with.
+ */
+class UnknownVersionError extends DependencyStoreError {
+    /**
+     * @param {string} versionId The missing version ID.
+     * @param {string} productId The product the version was expected on, if any.
+     */
+    constructor(versionId, productId) {
+        super(productId ? `Version ${versionId} does not exist on product ${productId}` : `Version ${versionId} does not exist`);
+        this.versionId = versionId;
+        this.productId = productId;
+    }
+}
+
+/**
+ * Thrown when a version wants to support specs that its dependencies are not compatible with.
+ */
+class UnsupportedSpecError extends DependencyStoreError {
+    /**
+     * @param {string} productId The product of the rejected version.
+     * @param {string} versionId The rejected version ID. Null when a new version was rejected.
+     * @param {object} missing An object of spec:array, listing the dependency product IDs that lack each spec.
+     */
+    constructor(productId, versionId, missing) {
+        const specs = Object.keys(missing);
+        const reasons = specs.map((spec) => `${spec} (missing from ${missing[spec].join(", ")})`);
+        super(`${versionId ? `Version ${versionId}` : "New version"} of ${productId} cannot support ${reasons.join(", ")}`);
+        this.productId = productId;
+        this.versionId = versionId || null;
+        this.specs = specs;
+        this.missing = missing;
+    }
+}
+
+/**
+ * Thrown when a product cannot be removed because versions of other products depend on it.
+ */
+class ProductInUseError extends DependencyStoreError {
+    /**
+     * @param {string} productId The product that was not removed.
+     * @param {array} dependents The IDs of the versions that depend on the product.
+     */
+    constructor(productId, dependents) {
+        super(`Product ${productId} is still a dependency of ${dependents.join(", ")}`);
+        this.productId = productId;
+        this.dependents = dependents;
+    }
+}
+
+/**
+ * Thrown when a version label is not a valid semver version.
+ */
+class InvalidLabelError extends DependencyStoreError {
+    /**
+     * @param {string} label The invalid label.
+     */
+    constructor(label) {
+        super(`Version label ${label} is not a valid semver version`);
+        this.label = label;
+    }
+}
+
+/**
+ * Thrown when a dependency range is not a valid semver range.
+ */
+class InvalidRangeError extends DependencyStoreError {
+    /**
+     * @param {string} productId The product the dependency points to.
+     * @param {string} range The invalid range.
+     */
+    constructor(productId, range) {
+        super(`Dependency range ${range} on ${productId} is not a valid semver range`);
+        this.productId = productId;
+        this.range = range;
+    }
+}
+
+/**
+ * Thrown when the supports or dependencies passed for a version are not an array.
+ */
+class InvalidListError extends DependencyStoreError {
+    /**
+     * @param {string} argument The name of the argument, "supports" or "dependencies".
+     * @param {*} value The value that was passed.
+     */
+    constructor(argument, value) {
+        super(`${argument} must be an array, not ${JSON.stringify(value)}`);
+        this.argument = argument;
+        this.value = value;
+    }
+}
+
+/**
+ * Thrown when a dependency is neither a product ID nor an object of { product, range }.
+ */
+class InvalidDependencyError extends DependencyStoreError {
+    /**
+     * @param {*} dependency The invalid dependency.
+     */
+    constructor(dependency) {
+        super(`Dependency ${JSON.stringify(dependency)} is not a product ID or an object of { product, range }`);
+        this.dependency = dependency;
+    }
+}
+
+/**
+ * Thrown when a version supports specs that are not registered.
+ */
+class UnknownSpecError extends DependencyStoreError {
+    /**
+     * @param {array} specs The unregistered specs.
+     */
+    constructor(specs) {
+        super(`Spec ${specs.join(", ")} is not registered`);
+        this.specs = specs;
+    }
+}
+
+/**
+ * Thrown when a version supports specs that have been retired.
+ */
+class RetiredSpecError extends DependencyStoreError {
+    /**
+     * @param {array} specs The retired specs.
+     */
+    constructor(specs) {
+        super(`Spec ${specs.join(", ")} has been retired`);
+        this.specs = specs;
+    }
+}
+
+/**
+ * Thrown when registering a spec that is already registered.
+ */
+class DuplicateSpecError extends DependencyStoreError {
+    /**
+     * @param {string} spec The spec name.
+     */
+    constructor(spec) {
+        super(`Spec ${spec} is already registered`);
+        this.spec = spec;
+    }
+}
+
+/**
+ * Thrown when creating a product with a name that another product already has.
+ */
+class DuplicateProductError extends DependencyStoreError {
+    /**
+     * @param {string} productName The name.
+     * @param {string} productId The ID of the product that has the name.
+     */
+    constructor(productName, productId) {
+        super(`Product ${productId} is already named ${productName}`);
+        this.productName = productName;
+        this.productId = productId;
+    }
+}
+
+/**
+ * Thrown when exporting the graph to a format that has no exporter.
+ */
+class UnknownFormatError extends DependencyStoreError {
+    /**
+     * @param {string} format The requested format.
+     * @param {array} formats The supported formats.
+     */
+    constructor(format, formats) {
+        super(`Format ${format} is not supported, use one of ${formats.join(", ")}`);
+        this.format = format;
+        this.formats = formats;
+    }
+}
+
+/**
+ * Thrown when a point in time cannot be read as a date.
+ */
+class InvalidTimeError extends DependencyStoreError {
+    /**
+     * @param {*} time The time that was passed.
+     */
+    constructor(time) {
+        super(`${time} is not a valid point in time`);
+        this.time = time;
+    }
+}
+
+module.exports = {
+    DependencyStoreError,
+    UnknownProductError,
+    UnknownVersionError,
+    UnsupportedSpecError,
+    ProductInUseError,
+    InvalidLabelError,
+    InvalidRangeError,
+    InvalidListError,
+    InvalidDependencyError,
+    UnknownSpecError,
+    RetiredSpecError,
+    DuplicateSpecError,
+    DuplicateProductError,
+    UnknownFormatError,
+    InvalidTimeError,
+};
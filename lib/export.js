@@ -0,0 +1,146 @@
+const { parseDependency } = require("./dependency");
+
+/**
+ * Determines if a dependency limits a spec on a version: the version supports the spec, but the dependency does not provide it,
+ * so the spec is missing from the version's compatibility because of this dependency.
+ * @param {DependencyStore} store The store holding the version.
+ * @param {string} versionId ID of the version.
+ * @param {string|object} dependency One of the version's dependencies.
+ * @param {string} spec The spec to check.
+ * @returns True if the dependency removes the spec from the version.
+ */
+function isLimiting(store, versionId, dependency, spec) {
+    if (!store.withoutRetired(store.versions[versionId].supports).includes(spec)) return false;
+    return !store.providesSpec(dependency, spec);
+}
+
+/**
+ * Exports the graph as plain JSON. Every product and version is a node, and edges are listed by their source node:
+ * a product has a "version" edge to each of its versions, and a version has a "dependency" edge to each product it depends on.
+ * @param {DependencyStore} store The store to export.
+ * @param {object} options An object of { spec }. When a spec is given, dependency edges that limit it are flagged as limiting.
+ * @returns An object of { spec, nodes, edges } where nodes maps node IDs to their specs and edges maps node IDs to arrays of { to, type, range, limiting }.
+ */
+function toAdjacency(store, { spec = null } = {}) {
+    const nodes = {};
+    const edges = {};
+    for (const productId in store.products) {
+        const product = store.products[productId];
+        nodes[productId] = {
+            type: "product",
+            compatible: product.compatible,
+        };
+        edges[productId] = product.versions.map((versionId) => ({ to: versionId, type: "version" }));
+    }
+    for (const versionId in store.versions) {
+        const version = store.versions[versionId];
+        nodes[versionId] = {
+            type: "version",
+            product: version.product,
+            label: version.label || null,
+            supports: version.supports,
+            compatible: version.compatible,
+        };
+        edges[versionId] = version.dependencies.map((dependency) => {
+            const { product, range } = parseDependency(dependency);
+            return {
+                to: product,
+                type: "dependency",
+                range,
+                limiting: spec !== null && isLimiting(store, versionId, dependency, spec),
+            };
+        });
+    }
+    return { spec, nodes, edges };
+}
+
+/**
+ * Builds the lines of text that label a node.
+ * @param {string} id The node ID.
+ * @param {object} node The node, as exported by toAdjacency().
+ * @returns An array of lines.
+ */
+function nodeLines(id, node) {
+    if (node.type === "product") return [id, `compatible: ${node.compatible.join(", ") || "none"}`];
+    return [
+        node.label ? `${id} ${node.label}` : id,
+        `supports: ${node.supports.join(", ") || "none"}`,
+        `compatible: ${node.compatible.join(", ") || "none"}`,
+    ];
+}
+
+/**
+ * Labels a dependency edge with its range and, when it limits the exported spec, with that spec.
+ * @param {object} edge The edge, as exported by toAdjacency().
+ * @param {string} spec The exported spec.
+ * @returns The label, which is empty when there is nothing to show.
+ */
+function edgeLabel(edge, spec) {
+    return [edge.range, edge.limiting ? `limits ${spec}` : null].filter(Boolean).join(", ");
+}
+
+/**
+ * Exports the graph in the Graphviz DOT language. Products are boxes and versions are ellipses;
+ * the edges from a product to its versions are dashed and dependency edges that limit the spec are drawn in red.
+ * @param {DependencyStore} store The store to export.
+ * @param {object} options An object of { spec }, the spec whose limiting edges are highlighted.
+ * @returns The DOT source.
+ */
+function toDot(store, options = {}) {
+    const { spec, nodes, edges } = toAdjacency(store, options);
+    const quote = (text) => `"${text.replace(/\\/g, "\\\\").replace(/"/g, "\\\"")}"`;
+    const lines = ["digraph dependencies {", "    rankdir=LR;"];
+    for (const id in nodes) {
+        const shape = nodes[id].type === "product" ? "box" : "ellipse";
+        lines.push(`    ${quote(id)} [shape=${shape}, label=${quote(nodeLines(id, nodes[id]).join("\n")).replace(/\n/g, "\\n")}];`);
+    }
+    for (const id in edges) {
+        for (const edge of edges[id]) {
+            const attributes = [];
+            if (edge.type === "version") attributes.push("style=dashed");
+            const label = edgeLabel(edge, spec);
+            if (label) attributes.push(`label=${quote(label)}`);
+            if (edge.limiting) attributes.push("color=red", "fontcolor=red", "penwidth=2");
+            lines.push(`    ${quote(id)} -> ${quote(edge.to)}${attributes.length > 0 ? ` [${attributes.join(", ")}]` : ""};`);
+        }
+    }
+    lines.push("}");
+    return lines.join("\n");
+}
+
+/**
+ * Exports the graph as a Mermaid flowchart. Products are rectangles and versions are stadiums;
+ * the edges from a product to its versions are dotted and dependency edges that limit the spec are drawn in red.
+ * @param {DependencyStore} store The store to export.
+ * @param {object} options An object of { spec }, the spec whose limiting edges are highlighted.
+ * @returns The Mermaid source.
+ */
+function toMermaid(store, options = {}) {
+    const { spec, nodes, edges } = toAdjacency(store, options);
+    const escape = (text) => text.replace(/"/g, "#quot;");
+    const lines = ["flowchart LR"];
+    for (const id in nodes) {
+        const text = `"${escape(nodeLines(id, nodes[id]).join("<br/>"))}"`;
+        lines.push(nodes[id].type === "product" ? `    ${id}[${text}]` : `    ${id}([${text}])`);
+    }
+    const limiting = [];
+    let index = 0;
+    for (const id in edges) {
+        for (const edge of edges[id]) {
+            const label = edgeLabel(edge, spec);
+            const arrow = edge.type === "version" ? "-.->" : "-->";
+            lines.push(`    ${id} ${arrow}${label ? `|"${escape(label)}"|` : ""} ${edge.to}`);
+            if (edge.limiting) limiting.push(index);
+            index++;
+        }
+    }
+    if (limiting.length > 0) lines.push(`    linkStyle ${limiting.join(",")} stroke:red,stroke-width:2px`);
+    return lines.join("\n");
+}
+
+module.exports = {
+    isLimiting,
+    toAdjacency,
+    toDot,
+    toMermaid,
+};
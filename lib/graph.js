@@ -0,0 +1,63 @@
+/**
+ * Finds the strongly connected components of a directed graph using an iterative version of Tarjan's algorithm.
+ * Components are returned in reverse topological order: a component comes after every component it has edges to.
+ * The members of each component keep the order they have in the passed nodes array.
+ * @param {array} nodes The nodes of the graph.
+ * @param {function} edges Returns the array of nodes that a node has edges to. Every returned node must be in the nodes array.
+ * @returns An array of components, each an array of nodes.
+ */
+function stronglyConnectedComponents(nodes, edges) {
+    const position = new Map(nodes.map((node, i) => [node, i]));
+    const index = new Map();
+    const lowlink = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let counter = 0;
+
+    const visit = (node) => {
+        index.set(node, counter);
+        lowlink.set(node, counter);
+        counter++;
+        stack.push(node);
+        onStack.add(node);
+        return { node, targets: edges(node), next: 0 };
+    };
+
+    for (const root of nodes) {
+        if (index.has(root)) continue;
+        const work = [visit(root)];
+        while (work.length > 0) {
+            const frame = work[work.length - 1];
+            if (frame.next < frame.targets.length) {
+                const target = frame.targets[frame.next++];
+                if (!index.has(target)) {
+                    work.push(visit(target));
+                } else if (onStack.has(target)) {
+                    lowlink.set(frame.node, Math.min(lowlink.get(frame.node), index.get(target)));
+                }
+                continue;
+            }
+            work.pop();
+            if (work.length > 0) {
+                const parent = work[work.length - 1].node;
+                lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.node)));
+            }
+            if (lowlink.get(frame.node) === index.get(frame.node)) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack.delete(member);
+                    component.push(member);
+                } while (member !== frame.node);
+                components.push(component.sort((a, b) => position.get(a) - position.get(b)));
+            }
+        }
+    }
+    return components;
+}
+
+module.exports = {
+    stronglyConnectedComponents,
+};
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const path = require("path");
+const _ = require("lodash");
+const semver = require("semver");
+const { stronglyConnectedComponents } = require("./graph");
+const { DependencyStoreError } = require("./errors");
+
+/**
+ * Reads a JSON file.
+ * @param {string} file Path of the file.
+ * @returns The parsed content.
+ */
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Builds the package record of a manifest or lockfile entry.
+ * @param {object} manifest The package.json content or the lockfile entry.
+ * @param {string} name The package name.
+ * @param {string} version The package version.
+ * @param {string} source Where the package was read from, reported with rejected versions.
+ * @returns An object of { name, version, dependencies, manifest, source } where dependencies is an object of name:range.
+ */
+function toPackage(manifest, name, version, source) {
+    return {
+        name,
+        version: version || null,
+        dependencies: manifest.dependencies || {},
+        manifest,
+        source,
+    };
+}
+
+/**
+ * Reads every package.json below a directory, each directory's own manifest before those of its subdirectories, which are read in name order.
+ * node_modules and hidden directories are skipped, and files without a name are not packages.
+ * @param {string} dir The directory.
+ * @returns An array of packages, see toPackage().
+ */
+function readManifests(dir) {
+    const packages = [];
+    const file = path.join(dir, "package.json");
+    if (fs.existsSync(file)) {
+        const manifest = readJson(file);
+        if (manifest.name) packages.push(toPackage(manifest, manifest.name, manifest.version, file));
+    }
+    const subdirectories = fs.readdirSync(dir, { withFileTypes: true })
+        .filter((entry) => entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith("."))
+        .map((entry) => entry.name)
+        .sort();
+    for (const name of subdirectories) packages.push(...readManifests(path.join(dir, name)));
+    return packages;
+}
+
+/**
+ * Reads the packages of a package-lock.json, from its "packages" section. Linked entries, such as workspaces, are skipped
+ * since the package they link to has its own entry. Lockfile entries only hold the fields npm copies from the manifests, such as engines.
+ * @param {string} file Path of the lockfile.
+ * @returns An array of packages, see toPackage(). Each name@version is listed once, however many copies the lockfile installs.
+ * @throws {Error} If the lockfile has no "packages" section, as written by npm before lockfileVersion 2.
+ */
+function readLockfile(file) {
+    const lockfile = readJson(file);
+    if (!lockfile.packages) throw new Error(`${file} has no packages section, only lockfileVersion 2 and later are supported`);
+    const packages = [];
+    for (const [key, entry] of Object.entries(lockfile.packages)) {
+        if (entry.link) continue;
+        const name = entry.name || (key === "" ? lockfile.name : key.slice(key.lastIndexOf("node_modules/") + "node_modules/".length));
+        const version = entry.version || (key === "" ? lockfile.version : null);
+        if (name) packages.push(toPackage(entry, name, version, `${file}#${key}`));
+    }
+    return _.uniqBy(packages, (pkg) => `${pkg.name}@${pkg.version}`);
+}
+
+/**
+ * Reads packages from a directory of package.json files, a package-lock.json or a single package.json.
+ * @param {string} source Path of the directory or file.
+ * @returns An array of packages, see toPackage().
+ */
+function readPackages(source) {
+    if (fs.statSync(source).isDirectory()) return readManifests(source);
+    const content = readJson(source);
+    if (content.lockfileVersion !== undefined) return readLockfile(source);
+    return content.name ? [toPackage(content, content.name, content.version, source)] : [];
+}
+
+/**
+ * Reads the specs a package supports from one of its fields. An array lists the specs, a string is a single spec
+ * and an object, such as engines, supports the specs named by its keys.
+ * @param {object} manifest The package.json content or the lockfile entry.
+ * @param {string} specField The field, as a dotted path such as "engines" or "config.specs".
+ * @returns An array of specs, empty when the field is missing.
+ */
+function specsOf(manifest, specField) {
+    const value = _.get(manifest, specField);
+    if (Array.isArray(value)) return value.map(String);
+    if (typeof value === "string") return [value];
+    if (_.isPlainObject(value)) return Object.keys(value);
+    return [];
+}
+
+/**
+ * Orders package versions from oldest to newest. Versions that are not valid semver come last.
+ * @param {object} a A package.
+ * @param {object} b A package.
+ * @returns A negative number, zero or a positive number, as expected by Array.sort().
+ */
+function byVersion(a, b) {
+    const validA = Boolean(semver.valid(a.version));
+    const validB = Boolean(semver.valid(b.version));
+    if (validA && validB) return semver.compare(a.version, b.version);
+    return Number(validB) - Number(validA);
+}
+
+/**
+ * Puts one package version, updating the version with the same label if the product already has one.
+ * A rejected version is added to the report instead of thrown.
+ * @param {DependencyStore} store The store.
+ * @param {object} pkg The package.
+ * @param {object} report The import report, see importPackages().
+ * @param {string} specField The field that lists the supported specs.
+ */
+function putPackage(store, pkg, report, specField) {
+    const key = `${pkg.name}@${pkg.version}`;
+    const productId = report.products[pkg.name];
+    const dependencies = [];
+    for (const [name, range] of Object.entries(pkg.dependencies)) {
+        const dependency = report.products[name] || store.findProduct(name);
+        if (!dependency) {
+            report.external[key] = [...(report.external[key] || []), name];
+            continue;
+        }
+        // Ranges npm understands but semver does not, such as tags, URLs and aliases, accept every version
+        dependencies.push(range && range !== "*" && semver.validRange(range) ? { product: dependency, range } : dependency);
+    }
+    const existing = store.products[productId].versions.find((versionId) => store.versions[versionId].label === pkg.version) || null;
+    try {
+        report.versions[key] = store.putVersion(productId, existing, specsOf(pkg.manifest, specField), dependencies, { label: pkg.version });
+    } catch (err) {
+        if (!(err instanceof DependencyStoreError)) throw err;
+        report.rejected.push({
+            package: pkg.name,
+            version: pkg.version,
+            source: pkg.source,
+            error: err.name,
+            message: err.message,
+            missing: err.missing || {},
+        });
+    }
+}
+
+/**
+ * Imports npm-style packages into a store. Every package name becomes a product, created with its name unless a product already has it,
+ * and every package version becomes a version labelled with it, put after the versions it depends on so that their compatibility is known.
+ * Packages that depend on each other in a cycle are put in one transaction; if the transaction is rejected, they are put one by one.
+ * Dependencies on packages that are neither imported nor in the store are left out and listed as external.
+ * Versions the store rejects, such as versions supporting a spec their dependencies lack or versions without a semver label, are listed as rejected.
+ * @param {DependencyStore} store The store to import into.
+ * @param {array} packages An array of packages, see readPackages().
+ * @param {object} options
+ * @param {string} options.specField The field that lists the specs a package supports, see specsOf(). Defaults to "engines".
+ * @param {boolean} options.registerSpecs Registers the specs that are not registered yet. Defaults to true.
+ * @returns An object of { products, versions, rejected, external } where products maps package names to product IDs,
+ * versions maps name@version to version IDs, rejected is an array of { package, version, source, error, message, missing }
+ * and external maps name@version to the names of the packages left out of its dependencies.
+ */
+function importPackages(store, packages, { specField = "engines", registerSpecs = true } = {}) {
+    const report = { products: {}, versions: {}, rejected: [], external: {} };
+    const byName = _.groupBy(_.uniqBy(packages, (pkg) => `${pkg.name}@${pkg.version}`), (pkg) => pkg.name);
+    for (const name in byName) {
+        report.products[name] = store.findProduct(name) || store.createProduct({ name });
+    }
+    if (registerSpecs) {
+        const specs = _.uniq(_.flatMap(Object.values(byName), (versions) => _.flatMap(versions, (pkg) => specsOf(pkg.manifest, specField))));
+        for (const spec of specs.filter((name) => !store.hasSpec(name))) store.registerSpec(spec, { importedFrom: specField });
+    }
+
+    const dependsOn = (name) => _.uniq(_.flatMap(byName[name], (pkg) => Object.keys(pkg.dependencies))).filter((dependency) => byName[dependency]);
+    for (const component of stronglyConnectedComponents(Object.keys(byName), dependsOn)) {
+        const versions = _.flatMap(component, (name) => byName[name].filter((pkg) => pkg.version).sort(byVersion));
+        for (const pkg of _.flatMap(component, (name) => byName[name].filter((version) => !version.version))) {
+            report.rejected.push({ package: pkg.name, version: null, source: pkg.source, error: "MissingVersion", message: `${pkg.name} has no version`, missing: {} });
+        }
+        if (component.length > 1 || dependsOn(component[0]).includes(component[0])) {
+            const attempt = { products: report.products, versions: {}, rejected: [], external: {} };
+            try {
+                store.transaction(() => {
+                    for (const pkg of versions) putPackage(store, pkg, attempt, specField);
+                    if (attempt.rejected.length > 0) throw new DependencyStoreError("A version of the cycle was rejected");
+                });
+                Object.assign(report.versions, attempt.versions);
+                Object.assign(report.external, attempt.external);
+                continue;
+            } catch (err) {
+                if (!(err instanceof DependencyStoreError)) throw err;
+            }
+        }
+        for (const pkg of versions) putPackage(store, pkg, report, specField);
+    }
+    return report;
+}
+
+module.exports = {
+    readManifests,
+    readLockfile,
+    readPackages,
+    specsOf,
+    importPackages,
+};
@@ -0,0 +1,210 @@
+const _ = require("lodash");
+const semver = require("semver");
+const { parseDependency } = require("./dependency");
+
+// The categories of inconsistencies, in the order they are checked. Every report lists all of them, empty or not.
+const CATEGORIES = [
+    "missingVersions",
+    "duplicateVersions",
+    "misplacedVersions",
+    "orphanedVersions",
+    "unlistedVersions",
+    "danglingDependencies",
+    "invalidRanges",
+    "invalidLabels",
+    "unknownSpecs",
+    "counters",
+    "staleCompatibility",
+];
+
+/**
+ * Finds the product a version belongs to. The version's own product field wins when that product exists. Otherwise the version
+ * belongs to the first product that lists it, and when no product lists it either, to the missing product, which is then recreated.
+ * @param {DependencyStore} store The store holding the version.
+ * @param {string} versionId ID of the version.
+ * @param {object} listers An object of versionId:array holding the products that list each version.
+ * @returns The product ID.
+ */
+function findOwner(store, versionId, listers) {
+    const product = store.versions[versionId].product;
+    if (store.hasProduct(product)) return product;
+    return (listers[versionId] || [product])[0];
+}
+
+/**
+ * Finds the highest number used by the IDs of a collection.
+ * @param {object} records An object of id:record.
+ * @param {string} prefix The ID prefix, "p" or "v".
+ * @returns The highest number, or -1 when no ID uses the prefix.
+ */
+function highestId(records, prefix) {
+    const numbers = Object.keys(records)
+        .filter((id) => new RegExp(`^${prefix}\\d+$`).test(id))
+        .map((id) => Number(id.slice(prefix.length)));
+    return _.max(numbers) === undefined ? -1 : _.max(numbers);
+}
+
+/**
+ * Finds every inconsistency in the records of a store and repairs the ones that can be repaired without losing or guessing data.
+ * The records are changed in place through store.touch(), so the repair joins the running mutation, if any.
+ * Compatibility is not checked here: it can only be recomputed once the records are consistent, see checkIntegrity().
+ * Dependencies on missing products, invalid ranges and invalid labels are reported but left alone, since only the publisher knows what they should be.
+ * @param {DependencyStore} store The store to repair.
+ * @returns An object of category:array, where every issue is an object of { message, repairable } plus the IDs it concerns.
+ */
+function repairRecords(store) {
+    const issues = _.fromPairs(CATEGORIES.map((category) => [category, []]));
+    const report = (category, repairable, issue) => issues[category].push(Object.assign(issue, { repairable }));
+
+    const listers = {};
+    for (const productId in store.products) {
+        for (const versionId of _.uniq(store.products[productId].versions)) {
+            if (!listers[versionId]) listers[versionId] = [];
+            listers[versionId].push(productId);
+        }
+    }
+
+    const moved = new Set();
+    for (const productId in store.products) {
+        const versions = store.products[productId].versions;
+        const kept = [];
+        for (const versionId of versions) {
+            if (!store.hasVersion(versionId)) {
+                report("missingVersions", true, { productId, versionId, message: `${productId} lists ${versionId}, which does not exist.` });
+            } else if (kept.includes(versionId)) {
+                report("duplicateVersions", true, { productId, versionId, message: `${productId} lists ${versionId} more than once.` });
+            } else if (findOwner(store, versionId, listers) !== productId) {
+                const owner = findOwner(store, versionId, listers);
+                report("misplacedVersions", true, { productId, versionId, owner, message: `${productId} lists ${versionId}, which belongs to ${owner}.` });
+                moved.add(versionId);
+            } else {
+                kept.push(versionId);
+            }
+        }
+        if (kept.length === versions.length) continue;
+        store.touch("products", productId);
+        store.products[productId].versions = kept;
+    }
+
+    for (const versionId in store.versions) {
+        const version = store.versions[versionId];
+        const owner = findOwner(store, versionId, listers);
+        if (!store.hasProduct(version.product)) {
+            const message = store.hasProduct(owner) ? `${versionId} belongs to ${version.product}, which does not exist, and was adopted by ${owner}.`
+                : `${versionId} belongs to ${version.product}, which does not exist, and the product was recreated.`;
+            report("orphanedVersions", true, { versionId, productId: version.product, owner, message });
+            if (!store.hasProduct(owner)) {
+                store.touch("products", owner);
+                store.products[owner] = {
+                    compatible: [],
+                    versions: [],
+                };
+            }
+            store.touch("versions", versionId);
+            version.product = owner;
+            moved.add(versionId);
+        }
+        if (!store.products[owner].versions.includes(versionId)) {
+            if (!moved.has(versionId)) report("unlistedVersions", true, { versionId, productId: owner, message: `${versionId} belongs to ${owner}, which does not list it.` });
+            store.touch("products", owner);
+            store.products[owner].versions = [...store.products[owner].versions, versionId];
+        }
+    }
+
+    for (const versionId in store.versions) {
+        const version = store.versions[versionId];
+        for (const dependency of version.dependencies) {
+            const { product, range } = parseDependency(dependency);
+            if (!store.hasProduct(product)) {
+                report("danglingDependencies", false, { versionId, dependency, message: `${versionId} depends on ${product}, which does not exist.` });
+            } else if (range && !semver.validRange(range)) {
+                report("invalidRanges", false, { versionId, dependency, message: `${versionId} depends on ${product} with "${range}", which is not a semver range.` });
+            }
+        }
+        if (version.label && !semver.valid(version.label)) {
+            report("invalidLabels", false, { versionId, label: version.label, message: `${versionId} is labelled "${version.label}", which is not a semver version.` });
+        }
+    }
+
+    const used = _.uniq(_.flatMap(Object.values(store.versions), (version) => version.supports));
+    for (const spec of used.filter((name) => !store.hasSpec(name))) {
+        const versionIds = Object.keys(store.versions).filter((versionId) => store.versions[versionId].supports.includes(spec));
+        report("unknownSpecs", true, { spec, versionIds, message: `${spec} is supported by ${versionIds.join(", ")} but is not registered.` });
+        store.touch("specs", spec);
+        Object.assign(store.specs, store.seedSpecs([spec]));
+    }
+
+    for (const [counter, collection, prefix] of [["prodId", "products", "p"], ["verId", "versions", "v"]]) {
+        const expected = highestId(store[collection], prefix) + 1;
+        if (store[counter] >= expected) continue;
+        report("counters", true, { counter, value: store[counter], expected, message: `The ${counter} counter is ${store[counter]} but ${prefix}${expected - 1} is in use.` });
+        store[counter] = expected;
+    }
+
+    store.buildIndex();
+    return issues;
+}
+
+/**
+ * Recomputes the compatibility of every product and version from scratch: every stored compatibility is emptied,
+ * then every product is recalculated in dependency order, so nothing stale can leak into the result.
+ * @param {DependencyStore} store The store, whose records must be consistent, see repairRecords().
+ * @param {object} updated An object that receives productId:path for every recalculated product, see DependencyStore.recalculate().
+ */
+function recomputeAll(store, updated = {}) {
+    for (const versionId in store.versions) {
+        store.touch("versions", versionId);
+        store.versions[versionId].compatible = [];
+    }
+    for (const productId in store.products) {
+        store.touch("products", productId);
+        store.products[productId].compatible = [];
+    }
+    store.recalculate(Object.keys(store.products), updated);
+}
+
+/**
+ * Checks a store for every kind of inconsistency, without changing it. The check runs the repair on a copy of the store,
+ * then compares the stored compatibilities with the ones the copy recomputed from scratch.
+ * @param {DependencyStore} store The store to check.
+ * @returns An object of category:array, see repairRecords(). Stale compatibilities are objects of { productId or versionId, stored, expected, message, repairable }.
+ */
+function checkIntegrity(store) {
+    const scratch = store.fork();
+    const issues = repairRecords(scratch);
+    recomputeAll(scratch);
+    for (const collection of ["products", "versions"]) {
+        const key = collection === "products" ? "productId" : "versionId";
+        for (const id in store[collection]) {
+            const stored = store[collection][id].compatible;
+            const expected = scratch[collection][id].compatible;
+            if (_.xor(scratch.expandSpecs(stored), scratch.expandSpecs(expected)).length === 0) continue;
+            issues.staleCompatibility.push({
+                message: `${id} is stored as compatible with [${stored.join(", ")}] but is compatible with [${expected.join(", ")}].`,
+                repairable: true,
+                [key]: id,
+                stored,
+                expected,
+            });
+        }
+    }
+    return issues;
+}
+
+/**
+ * Counts the issues of a report.
+ * @param {object} issues An object of category:array, see checkIntegrity().
+ * @param {function} filter Only counts the issues for which filter returns true. Counts every issue when omitted.
+ * @returns The number of issues.
+ */
+function countIssues(issues, filter = () => true) {
+    return _.sumBy(CATEGORIES, (category) => issues[category].filter(filter).length);
+}
+
+module.exports = {
+    CATEGORIES,
+    repairRecords,
+    recomputeAll,
+    checkIntegrity,
+    countIssues,
+};
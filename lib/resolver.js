@@ -0,0 +1,100 @@
+const semver = require("semver");
+const { parseDependency, labelMatches } = require("./dependency");
+
+/**
+ * Orders versions from newest to oldest. Labelled versions come first, by semver precedence.
+ * Unlabelled versions follow, the most recently added first.
+ * @param {DependencyStore} store The store holding the versions.
+ * @param {array} versionIds The version IDs of one product, in the order they were added.
+ * @returns A new array of version IDs.
+ */
+function newestFirst(store, versionIds) {
+    const labelled = versionIds.filter((versionId) => store.versions[versionId].label);
+    const unlabelled = versionIds.filter((versionId) => !store.versions[versionId].label);
+    labelled.sort((a, b) => semver.rcompare(store.versions[a].label, store.versions[b].label));
+    return [...labelled, ...unlabelled.reverse()];
+}
+
+/**
+ * Picks one concrete version of a product and of every product it transitively depends on, such that every picked version
+ * is compatible with the spec, directly or through a spec that implies it, and falls inside the ranges of the picked versions
+ * that depend on it. Newer versions are preferred; when a pick leads to a conflict further down, the next newest version is tried.
+ * Every conflict is traced back to the picks that caused it, and the search jumps straight back to the latest of them:
+ * picks that played no part in a conflict are not retried, since no other version of them could avoid it.
+ * @param {DependencyStore} store The store to resolve against.
+ * @param {string} productId ID of the product to resolve.
+ * @param {string} spec The spec every picked version must be compatible with.
+ * @returns { resolved: true, lock } where lock is an object of productId:{ version, label }, or
+ * { resolved: false, reasons } where reasons is an array of { product, range, requiredBy, message } describing each dead end.
+ */
+function resolve(store, productId, spec) {
+    // Keyed by content, so a dead end reached again along another branch is listed once
+    const reasons = new Map();
+    const fail = (requirement, message, causes) => {
+        const reason = {
+            product: requirement.product,
+            range: requirement.range,
+            requiredBy: requirement.requiredBy,
+            message,
+        };
+        reasons.set(JSON.stringify(reason), reason);
+        return { conflict: new Set(causes.filter(Boolean)) };
+    };
+
+    // Returns { selected } when every requirement is met, or { conflict } holding the products whose picks led to the dead end
+    const solve = (selected, pending) => {
+        if (pending.length === 0) return { selected };
+        const [requirement, ...rest] = pending;
+        // The requirement exists because of the pick of this product, or of none for the root
+        const requirer = requirement.requiredBy && store.versions[requirement.requiredBy].product;
+        const chosen = selected[requirement.product];
+        if (chosen) {
+            if (requirement.range && !labelMatches(store.versions[chosen].label, requirement.range)) {
+                return fail(requirement, `${chosen} was already picked for ${requirement.product} but is outside ${requirement.range}`, [requirer, requirement.product]);
+            }
+            return solve(selected, rest);
+        }
+        if (!store.hasProduct(requirement.product)) return fail(requirement, `${requirement.product} does not exist`, [requirer]);
+        const inRange = store.products[requirement.product].versions.filter((versionId) => !requirement.range || labelMatches(store.versions[versionId].label, requirement.range));
+        const candidates = newestFirst(store, inRange.filter((versionId) => store.expandSpecs(store.versions[versionId].compatible).includes(spec)));
+        if (inRange.length === 0) return fail(requirement, `${requirement.product} has no version inside ${requirement.range}`, [requirer]);
+        if (candidates.length === 0) {
+            const where = requirement.range ? ` inside ${requirement.range}` : "";
+            return fail(requirement, `${requirement.product} has no version${where} compatible with ${spec}`, [requirer]);
+        }
+        // Every candidate failed: the conflict is whatever ruled them out, plus the pick that asked for this product
+        const conflict = new Set(requirer ? [requirer] : []);
+        for (const versionId of candidates) {
+            const dependencies = store.versions[versionId].dependencies.map((dependency) => Object.assign(parseDependency(dependency), { requiredBy: versionId }));
+            const result = solve(Object.assign({}, selected, { [requirement.product]: versionId }), [...rest, ...dependencies]);
+            if (result.selected || !result.conflict.has(requirement.product)) return result;
+            for (const product of result.conflict) {
+                if (product !== requirement.product) conflict.add(product);
+            }
+        }
+        return { conflict };
+    };
+
+    const { selected } = solve({}, [{ product: productId, range: null, requiredBy: null }]);
+    if (!selected) {
+        return {
+            resolved: false,
+            reasons: [...reasons.values()],
+        };
+    }
+    const lock = {};
+    for (const product in selected) {
+        lock[product] = {
+            version: selected[product],
+            label: store.versions[selected[product]].label || null,
+        };
+    }
+    return {
+        resolved: true,
+        lock,
+    };
+}
+
+module.exports = {
+    resolve,
+};
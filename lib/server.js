@@ -0,0 +1,161 @@
+const http = require("http");
+const {
+    DependencyStoreError,
+    UnknownProductError,
+    UnknownVersionError,
+    UnsupportedSpecError,
+    ProductInUseError,
+} = require("./errors");
+
+/**
+ * Thrown by route handlers for requests that are malformed before they reach the store.
+ */
+class HttpError extends Error {
+    /**
+     * @param {number} status The HTTP status code.
+     * @param {string} message A description of the problem.
+     */
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+/**
+ * Maps a store error to an HTTP status code.
+ * @param {DependencyStoreError} err The error thrown by the store.
+ * @returns The status code.
+ */
+function statusOf(err) {
+    if (err instanceof UnknownProductError || err instanceof UnknownVersionError) return 404;
+    if (err instanceof ProductInUseError) return 409;
+    if (err instanceof UnsupportedSpecError) return 422;
+    return 400;
+}
+
+/**
+ * Reads and parses a JSON request body. An empty body is read as an empty object.
+ * @param {http.IncomingMessage} req The request.
+ * @returns A promise of the parsed body, rejected with a 400 unless the body is a JSON object.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = "";
+        req.setEncoding("utf8");
+        req.on("data", (chunk) => {
+            data += chunk;
+        });
+        req.on("end", () => {
+            if (data.length === 0) return resolve({});
+            let body;
+            try {
+                body = JSON.parse(data);
+            } catch (err) {
+                return reject(new HttpError(400, "Request body is not valid JSON"));
+            }
+            if (body === null || typeof body !== "object" || Array.isArray(body)) return reject(new HttpError(400, "Request body must be a JSON object"));
+            resolve(body);
+        });
+        req.on("error", reject);
+    });
+}
+
+/**
+ * Checks the body of a version request.
+ * @param {object} body The parsed body.
+ * @returns The body with defaults for the optional fields.
+ */
+function versionBody(body) {
+    const { supports, dependencies = [], label } = body;
+    if (!Array.isArray(supports)) throw new HttpError(400, "supports must be an array of specs");
+    if (!Array.isArray(dependencies)) throw new HttpError(400, "dependencies must be an array");
+    return { supports, dependencies, label };
+}
+
+/**
+ * Sends a JSON response.
+ * @param {http.ServerResponse} res The response.
+ * @param {number} status The HTTP status code.
+ * @param {object} body The response body.
+ */
+function send(res, status, body) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+        "Content-Type": "application/json",
+        "Content-Length": Buffer.byteLength(payload),
+    });
+    res.end(payload);
+}
+
+/**
+ * Creates an HTTP server exposing a dependency store as JSON.
+ *
+ *   POST /products                                Creates a product.
+ *   POST /products/:productId/versions            Creates a version from { supports, dependencies, label }.
+ *   PUT  /products/:productId/versions/:versionId Updates a version from { supports, dependencies, label }.
+ *   GET  /products/:productId/compatibility       The compatibility of the product and of each of its versions.
+ *   GET  /products/:productId/dependents          The products and versions that depend on the product.
+ *   GET  /products/:productId/tree                The dependency tree of the product.
+ *
+ * Store errors are answered with a 4xx status and a body of { error, message } plus the error's details,
+ * such as the missing specs of a rejected version.
+ * @param {DependencyStore} store The store to expose.
+ * @returns An http.Server, not yet listening.
+ */
+function createServer(store) {
+    const putVersion = async (req, productId, versionId) => {
+        const { supports, dependencies, label } = versionBody(await readBody(req));
+        const id = store.putVersion(productId, versionId, supports, dependencies, label === undefined ? {} : { label });
+        return {
+            versionId: id,
+            version: store.versions[id],
+            compatible: store.products[productId].compatible,
+        };
+    };
+
+    const routes = [
+        ["POST", /^\/products$/, async () => [201, { productId: store.createProduct() }]],
+        ["POST", /^\/products\/([^/]+)\/versions$/, async (req, productId) => [201, await putVersion(req, productId, null)]],
+        ["PUT", /^\/products\/([^/]+)\/versions\/([^/]+)$/, async (req, productId, versionId) => [200, await putVersion(req, productId, versionId)]],
+        ["GET", /^\/products\/([^/]+)\/compatibility$/, async (req, productId) => {
+            if (!store.hasProduct(productId)) throw new UnknownProductError(productId);
+            const versions = {};
+            for (const versionId of store.products[productId].versions) versions[versionId] = store.versions[versionId].compatible;
+            return [200, { productId, compatible: store.products[productId].compatible, versions }];
+        }],
+        ["GET", /^\/products\/([^/]+)\/dependents$/, async (req, productId) => {
+            if (!store.hasProduct(productId)) throw new UnknownProductError(productId);
+            return [200, { productId, products: store.findDependents(productId), versions: [...store.dependents[productId] || []] }];
+        }],
+        ["GET", /^\/products\/([^/]+)\/tree$/, async (req, productId) => [200, store.dependencyTree(productId)]],
+    ];
+
+    const handle = async (req, res) => {
+        const path = new URL(req.url, "http://localhost").pathname;
+        const matching = routes.filter(([, pattern]) => pattern.test(path));
+        if (matching.length === 0) throw new HttpError(404, `No route for ${path}`);
+        const route = matching.find(([method]) => method === req.method);
+        if (!route) throw new HttpError(405, `${req.method} is not allowed on ${path}`);
+        const params = route[1].exec(path).slice(1).map((param) => {
+            try {
+                return decodeURIComponent(param);
+            } catch (err) {
+                throw new HttpError(400, `${param} is not a valid URL component`);
+            }
+        });
+        const [status, body] = await route[2](req, ...params);
+        send(res, status, body);
+    };
+
+    return http.createServer((req, res) => {
+        handle(req, res).catch((err) => {
+            if (err instanceof HttpError) return send(res, err.status, { error: "HttpError", message: err.message });
+            if (err instanceof DependencyStoreError) return send(res, statusOf(err), Object.assign({ error: err.name, message: err.message }, err));
+            send(res, 500, { error: "InternalError", message: err.message });
+        });
+    });
+}
+
+module.exports = {
+    createServer,
+};
@@ -0,0 +1,9 @@
+// Simple
+const SPEC = {
+    "V1": "spec1",
+    "V2": "spec2",
+    "V3": "spec3",
+    "V4": "spec4",
+};
+
+module.exports = SPEC;
@@ -0,0 +1,29 @@
+/**
+ * Applies a changeset to a snapshot in place. History entries are appended to the snapshot's history.
+ * @param {object} snapshot The snapshot to update.
+ * @param {object} changeset The changeset to apply.
+ * @returns The updated snapshot.
+ */
+function applyChangeset(snapshot, changeset) {
+    if (changeset.reset) {
+        snapshot.products = {};
+        snapshot.versions = {};
+        snapshot.specs = {};
+        snapshot.history = [];
+    }
+    snapshot.prodId = changeset.prodId;
+    snapshot.verId = changeset.verId;
+    for (const collection of ["products", "versions", "specs"]) {
+        if (!changeset[collection]) continue;
+        if (!snapshot[collection]) snapshot[collection] = {};
+        for (const id in changeset[collection]) {
+            const record = changeset[collection][id];
+            if (record === null) delete snapshot[collection][id];
+            else snapshot[collection][id] = record;
+        }
+    }
+    if (changeset.history) snapshot.history = [...snapshot.history || [], ...changeset.history];
+    return snapshot;
+}
+
+module.exports = applyChangeset;
@@ -0,0 +1,22 @@
+// A storage adapter is any object with two synchronous methods:
+//
+//   load()                       Returns the last committed snapshot, or null when nothing was stored yet.
+//                                A snapshot is { prodId, verId, products, versions, specs, history }.
+//   commit(changeset, snapshot)  Persists one mutation. The changeset holds the ID counters, only the products,
+//                                versions and specs the mutation touched, with removed records set to null, and the history
+//                                entries to append. A changeset with reset: true replaces everything, including the history.
+//                                snapshot() returns the full state after the mutation, without the history, which only
+//                                reaches adapters through changesets. Building it copies the whole DB, so adapters that can
+//                                persist the changeset alone should not call it.
+//
+// commit() must either persist the whole mutation or throw, in which case the store rolls the mutation back.
+
+const JSONFileStorage = require("./json-file");
+const JournalStorage = require("./journal");
+const applyChangeset = require("./changeset");
+
+module.exports = {
+    JSONFileStorage,
+    JournalStorage,
+    applyChangeset,
+};
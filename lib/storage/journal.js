@@ -0,0 +1,62 @@
+const fs = require("fs");
+const applyChangeset = require("./changeset");
+
+/**
+ * Appends every changeset to a journal file as one JSON line. Loading replays the journal from the start.
+ * A line is written in full before the file is synced, so a crash can at most leave a torn last line, which is ignored on load.
+ * A commit that fails partway cuts its line back off, so that the next commit does not append to the fragment.
+ */
+class JournalStorage {
+    /**
+     * @param {string} filePath Path of the journal file.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    /**
+     * A torn last line is cut off the file so that the next commit starts on a clean line.
+     * @returns The snapshot built by replaying the journal, or null if the journal does not exist or is empty.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        const content = fs.readFileSync(this.filePath, "utf8");
+        const lines = content.split("\n");
+        const torn = lines.pop();
+        if (torn.length > 0) fs.truncateSync(this.filePath, Buffer.byteLength(content) - Buffer.byteLength(torn));
+        let snapshot = null;
+        lines.forEach((line, index) => {
+            let changeset;
+            try {
+                changeset = JSON.parse(line);
+            } catch (err) {
+                throw new Error(`Journal ${this.filePath} is corrupt at line ${index + 1}`);
+            }
+            snapshot = applyChangeset(snapshot || { products: {}, versions: {} }, changeset);
+        });
+        return snapshot;
+    }
+
+    /**
+     * Appends the changeset. The snapshot is not needed by this backend.
+     * @param {object} changeset The touched records.
+     * @param {function} snapshot Returns the full state after the mutation.
+     */
+    commit(changeset, snapshot) {
+        const fd = fs.openSync(this.filePath, "a");
+        try {
+            const size = fs.fstatSync(fd).size;
+            try {
+                fs.writeFileSync(fd, `${JSON.stringify(changeset)}\n`);
+                fs.fsyncSync(fd);
+            } catch (err) {
+                fs.ftruncateSync(fd, size);
+                throw err;
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+module.exports = JournalStorage;
@@ -0,0 +1,82 @@
+const fs = require("fs");
+
+/**
+ * Keeps the DB in a JSON file and its history in a second file next to it, named after it with a .history suffix.
+ * Every commit rewrites the DB file through a temporary file and a rename, so the file always holds either the previous or the new state.
+ * The history only grows, so it is appended to its file one JSON line per entry instead of being rewritten. The DB file records
+ * how many bytes of the history file are committed; anything after that was left by a failed commit and is ignored.
+ */
+class JSONFileStorage {
+    /**
+     * @param {string} filePath Path of the JSON file.
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.historyPath = `${filePath}.history`;
+        this.historyBytes = 0;
+        this.inlineHistory = null;
+    }
+
+    /**
+     * Files written before the history got its own file hold it inline. It is read from there and moved out on the next commit.
+     * @returns The stored snapshot, or null if the file does not exist.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return null;
+        const { historyBytes = 0, ...snapshot } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+        if (snapshot.history) {
+            // The store keeps the returned history and appends to it, so the adapter holds its own copy
+            this.inlineHistory = [...snapshot.history];
+            return snapshot;
+        }
+        this.historyBytes = historyBytes;
+        snapshot.history = this.readHistory();
+        return snapshot;
+    }
+
+    /**
+     * Reads the committed entries of the history file.
+     * @returns An array of history entries.
+     */
+    readHistory() {
+        if (!fs.existsSync(this.historyPath)) return [];
+        const content = fs.readFileSync(this.historyPath).subarray(0, this.historyBytes).toString("utf8");
+        return content.split("\n").filter((line) => line.length > 0).map((line) => JSON.parse(line));
+    }
+
+    /**
+     * Appends the new history entries, then rewrites the DB file. A reset changeset, or the first commit after loading an inline history,
+     * rewrites the history file instead.
+     * @param {object} changeset The touched records and the new history entries.
+     * @param {function} snapshot Returns the full state after the mutation, without the history.
+     */
+    commit(changeset, snapshot) {
+        const rewrite = Boolean(changeset.reset || this.inlineHistory);
+        const entries = changeset.reset ? changeset.history || [] : [...this.inlineHistory || [], ...changeset.history || []];
+        const text = entries.map((entry) => `${JSON.stringify(entry)}\n`).join("");
+        const start = rewrite ? 0 : this.historyBytes;
+        const historyBytes = start + Buffer.byteLength(text);
+        const historyFd = fs.openSync(this.historyPath, "a");
+        try {
+            fs.ftruncateSync(historyFd, start);
+            fs.writeFileSync(historyFd, text);
+            fs.fsyncSync(historyFd);
+        } finally {
+            fs.closeSync(historyFd);
+        }
+
+        const tmpPath = `${this.filePath}.tmp`;
+        const fd = fs.openSync(tmpPath, "w");
+        try {
+            fs.writeFileSync(fd, JSON.stringify(Object.assign(snapshot(), { historyBytes }), null, 2));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmpPath, this.filePath);
+        this.historyBytes = historyBytes;
+        this.inlineHistory = null;
+    }
+}
+
+module.exports = JSONFileStorage;
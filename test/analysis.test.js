@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DependencyStore, SPEC } = require("../index");
+const { assertDb } = require("./helpers");
+
+/**
+ * Builds a store where p2 supports spec2 but lost it because p1 dropped it.
+ */
+function lostSpecStore() {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const prod3 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    const v = store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod3, null, [SPEC.V1, SPEC.V2], [prod1, prod2]);
+    store.putVersion(prod2, v, [SPEC.V1], []);
+    return store;
+}
+
+const LOST_SPEC_DB = {
+    products: {
+        "p0": {
+            compatible: [SPEC.V1, SPEC.V2],
+            versions: ["v0"]
+        },
+        "p1": {
+            compatible: [SPEC.V1],
+            versions: ["v1"]
+        },
+        "p2": {
+            compatible: [SPEC.V1],
+            versions: ["v2"]
+        }
+    },
+    versions: {
+        "v0": {
+            product: "p0",
+            supports: [SPEC.V1, SPEC.V2],
+            dependencies: [],
+            compatible: [SPEC.V1, SPEC.V2]
+        },
+        "v1": {
+            product: "p1",
+            supports: [SPEC.V1],
+            dependencies: [],
+            compatible: [SPEC.V1]
+        },
+        "v2": {
+            product: "p2",
+            supports: [SPEC.V1, SPEC.V2],
+            dependencies: ["p0", "p1"],
+            compatible: [SPEC.V1]
+        }
+    }
+};
+
+test("graph exports highlight the dependencies that limit a spec", () => {
+    const store = lostSpecStore();
+    const graph = store.exportGraph("json", { spec: SPEC.V2 });
+    assert.deepEqual(graph.edges["v2"].map((edge) => [edge.to, edge.limiting]), [["p0", false], ["p1", true]]);
+    assert.deepEqual(graph.nodes["v2"].compatible, [SPEC.V1]);
+    assert.ok(store.exportGraph("dot", { spec: SPEC.V2 }).includes(`"v2" -> "p1" [label="limits ${SPEC.V2}", color=red`));
+    assert.ok(store.exportGraph("mermaid", { spec: SPEC.V2 }).includes("linkStyle 4 stroke:red"));
+    assert.deepEqual(store.exportGraph("json").edges["v2"].map((edge) => edge.limiting), [false, false]);
+    assertDb(store, LOST_SPEC_DB);
+});
+
+test("explain() traces a missing spec down to the versions that do not declare it", () => {
+    const store = lostSpecStore();
+    const explanation = store.explain("p2", SPEC.V2);
+    const [version] = explanation.versions;
+    assert.equal(explanation.compatible, false);
+    assert.equal(version.declared, true);
+    assert.equal(version.compatible, false);
+    assert.deepEqual(version.dependencies.map((dependency) => [dependency.product, dependency.provides]), [["p0", true], ["p1", false]]);
+    assert.equal(version.dependencies[0].node, null);
+    assert.deepEqual(version.dependencies[1].node.versions.map((leaf) => [leaf.version, leaf.declared, leaf.dependencies]), [["v1", false, []]]);
+    assert.equal(store.explain("p0", SPEC.V2).versions[0].compatible, true);
+    assertDb(store, LOST_SPEC_DB);
+});
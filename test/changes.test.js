@@ -0,0 +1,257 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DependencyStore, SPEC, UnsupportedSpecError, ProductInUseError } = require("../index");
+const { assertDb } = require("./helpers");
+
+test("previewing a version update reports the downstream changes without applying them", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    assert.deepEqual(store.previewVersion(prod1, v, [SPEC.V1], []), {
+        versionId: "v0",
+        changes: {
+            "p0": { before: [SPEC.V1, SPEC.V2], after: [SPEC.V1], added: [], removed: [SPEC.V2], path: ["p0"] },
+            "p1": { before: [SPEC.V1, SPEC.V2], after: [SPEC.V1], added: [], removed: [SPEC.V2], path: ["p0", "p1"] },
+        }
+    });
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});
+
+test("removing a version removes the specs only it provided from the product and its dependents", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    const v = store.putVersion(prod1, null, [SPEC.V2], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    const report = store.removeVersion(v);
+    assert.deepEqual(report.changes["p1"], { before: [SPEC.V1, SPEC.V2], after: [SPEC.V1], added: [], removed: [SPEC.V2], path: ["p0", "p1"] });
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v2"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v2": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("a product in use is only removed when cascading to the versions that depend on it", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1], [prod1]);
+    store.putVersion(prod2, null, [SPEC.V2], []);
+    assert.throws(() => store.removeProduct(prod1), (err) => err instanceof ProductInUseError && err.dependents.join() === "v1");
+    assert.deepEqual(store.removeProduct(prod1, { cascade: true }).versionIds, ["v1", "v0"]);
+    assertDb(store, {
+        products: {
+            "p1": {
+                compatible: [SPEC.V2],
+                versions: ["v2"]
+            }
+        },
+        versions: {
+            "v2": {
+                product: "p1",
+                supports: [SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V2]
+            }
+        }
+    });
+});
+
+test("compatibility changes and rejections are emitted as events", () => {
+    const store = new DependencyStore();
+    const events = [];
+    for (const name of ["versionPut", "compatibilityChanged", "versionRejected"]) {
+        store.on(name, (payload) => events.push([name, payload.productId]));
+    }
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    events.length = 0;
+    store.putVersion(prod1, v, [SPEC.V1], []);
+    assert.throws(() => store.putVersion(prod2, null, [SPEC.V2], [prod1]), UnsupportedSpecError);
+    assert.deepEqual(events, [
+        ["versionPut", "p0"],
+        ["compatibilityChanged", "p0"],
+        ["compatibilityChanged", "p1"],
+        ["versionRejected", "p1"],
+    ]);
+
+    // A listener that throws does not turn a committed version into a rejected one
+    events.length = 0;
+    store.once("versionPut", () => {
+        throw new Error("listener failed");
+    });
+    assert.throws(() => store.putVersion(prod2, "v1", [SPEC.V1], [prod1]), /listener failed/);
+    assert.deepEqual(events, [["versionPut", "p1"]]);
+
+    // A version rejected by the check at the end of a transaction is reported once the transaction is rolled back
+    events.length = 0;
+    assert.throws(() => store.transaction(() => store.putVersion(prod2, null, [SPEC.V2], [prod1])), UnsupportedSpecError);
+    assert.deepEqual(events, [["versionRejected", "p1"]]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("the reverse dependency index follows updated dependencies and rolled back calls", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const prod3 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    store.putVersion(prod2, null, [SPEC.V1], []);
+    const v3 = store.putVersion(prod3, null, [SPEC.V1], [prod1]);
+    store.putVersion(prod3, v3, [SPEC.V1], [prod2]);
+    assert.deepEqual(store.findDependents(prod1), []);
+    assert.deepEqual(store.findDependents(prod2), [prod3]);
+
+    // Moves v3 to prod1, then rejects a new version, which rolls the move back
+    assert.throws(() => store.transaction(() => {
+        store.putVersion(prod3, v3, [SPEC.V1], [prod1]);
+        store.putVersion(prod3, null, [SPEC.V2], [prod2]);
+    }), UnsupportedSpecError);
+    assert.throws(() => store.putVersion(prod3, v3, [SPEC.V2], [prod1]), UnsupportedSpecError);
+    assert.deepEqual(store.findDependents(prod1), []);
+    assert.deepEqual(store.findDependents(prod2), [prod3]);
+    assert.deepEqual(store.dependents, store.fork().dependents);
+});
+
+test("a transaction recalculates once at the end and rolls back every step when one is rejected", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v1 = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    const v2 = store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    const { result, changes } = store.transaction(() => {
+        // Dropping spec2 from prod1 alone would be fine, but prod2 is released together with it
+        store.putVersion(prod1, v1, [SPEC.V1, SPEC.V3], []);
+        store.putVersion(prod2, v2, [SPEC.V1, SPEC.V3], [prod1]);
+        return store.createProduct();
+    });
+    assert.equal(result, "p2");
+    assert.deepEqual(changes["p1"], { before: [SPEC.V1, SPEC.V2], after: [SPEC.V1, SPEC.V3], added: [SPEC.V3], removed: [SPEC.V2], path: ["p1"] });
+    assert.throws(() => store.transaction(() => {
+        store.putVersion(prod1, v1, [SPEC.V1], []);
+        store.removeVersion(v2);
+        store.putVersion(result, null, [SPEC.V3], [prod1]);
+    }), (err) => {
+        assert.ok(err instanceof UnsupportedSpecError);
+        assert.deepEqual(err.missing, { [SPEC.V3]: ["p0"] });
+        return true;
+    });
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V3],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V3],
+                versions: ["v1"]
+            },
+            "p2": {
+                compatible: [],
+                versions: []
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V3],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V3]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V3],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V3]
+            }
+        }
+    });
+
+    // A version put earlier in the transaction is removed with the product it depends on
+    const temporary = store.createProduct();
+    store.transaction(() => {
+        store.putVersion(result, null, [SPEC.V1], [temporary]);
+        store.removeProduct(temporary, { cascade: true });
+    });
+    assert.equal(store.products[temporary], undefined);
+    assert.deepEqual(store.products[result], { compatible: [], versions: [] });
+    assert.equal(store.validate(), "Success.");
+});
@@ -0,0 +1,56 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { DependencyStore, SPEC, JSONFileStorage } = require("../index");
+const cli = require("../lib/cli");
+const { assertDb, tempFile } = require("./helpers");
+
+test("the CLI manages a store file and reports rejected versions", () => {
+    const file = tempFile("store.json");
+    const output = [];
+    const sdt = (...args) => cli.run([...args, "--store", file, "--json"], { stdout: (text) => output.push(JSON.parse(text)), stderr: () => {} });
+    assert.equal(sdt("create-product"), 0);
+    assert.equal(sdt("create-product"), 0);
+    assert.equal(sdt("put-version", "p0", "--supports", `${SPEC.V1},${SPEC.V2}`, "--label", "1.0.0"), 0);
+    assert.equal(sdt("put-version", "p1", "--supports", SPEC.V1, "--dependency", "p0@^1.0.0"), 0);
+    assert.equal(sdt("put-version", "p1", "--supports", SPEC.V3, "--dependency", "p0"), 1);
+    assert.deepEqual(output[4].missing, { [SPEC.V3]: ["p0"] });
+    assert.equal(sdt("validate"), 0);
+    assert.equal(output[5].valid, true);
+    assert.equal(cli.run(["unknown-command", "--store", file], { stdout: () => {}, stderr: () => {} }), 2);
+    const unused = tempFile("unused.json");
+    assert.equal(cli.run(["unknown-command", "--store", unused], { stdout: () => {}, stderr: () => {} }), 2);
+    assert.equal(cli.run(["--store", unused], { stdout: () => {}, stderr: () => {} }), 2);
+    for (const command of ["validate", "check", "export", "tree"]) {
+        assert.equal(cli.run([command, "p0", "--store", unused], { stdout: () => {}, stderr: () => {} }), 1);
+    }
+    assert.equal(fs.existsSync(unused), false);
+    assert.equal(fs.existsSync(`${unused}.history`), false);
+    assertDb(new DependencyStore({ storage: new JSONFileStorage(file) }), {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2],
+                label: "1.0.0"
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1],
+                dependencies: [{ product: "p0", range: "^1.0.0" }],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
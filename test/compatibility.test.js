@@ -0,0 +1,392 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DependencyStore, SPEC, UnsupportedSpecError, UnknownProductError, UnknownVersionError, InvalidDependencyError, InvalidListError } = require("../index");
+const { assertDb } = require("./helpers");
+
+test("a product with a version can be created", () => {
+    const store = new DependencyStore();
+    store.putVersion(store.createProduct(), null, [SPEC.V1], []);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("a version cannot be created with a dependency that does not support all desired specs", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    assert.throws(() => store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]), (err) => {
+        assert.ok(err instanceof UnsupportedSpecError);
+        assert.deepEqual(err.missing, { [SPEC.V2]: ["p0"] });
+        return true;
+    });
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [],
+                versions: []
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("a version can depend on another product", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});
+
+test("a dependency adding additional spec support does not change the parent", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod1, null, [SPEC.V3, SPEC.V4], []);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4],
+                versions: ["v0", "v2"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v2": {
+                product: "p0",
+                supports: [SPEC.V3, SPEC.V4],
+                dependencies: [],
+                compatible: [SPEC.V3, SPEC.V4]
+            }
+        }
+    });
+});
+
+test("circular dependencies recover spec support without being broken and recreated", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod1, v, [SPEC.V1, SPEC.V2], [prod2]);
+    store.putVersion(prod1, v, [SPEC.V1], [prod2]);
+    store.putVersion(prod1, v, [SPEC.V1, SPEC.V2], [prod2]);
+    assert.deepEqual(store.listCycles(), [["p0", "p1"]]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p1"],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});
+
+test("a product's compatibility always matches what its dependencies and versions support", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod1, v, [SPEC.V1], []);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("a product's spec support is recovered when its dependencies recover their support", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod1, v, [SPEC.V1], []);
+    store.putVersion(prod1, v, [SPEC.V1, SPEC.V2], []);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});
+
+test("a product with multiple versions that cover different specs can be depended on by another product", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    store.putVersion(prod1, null, [SPEC.V2], []);
+    store.putVersion(prod1, null, [SPEC.V3], []);
+    store.putVersion(prod1, null, [SPEC.V4], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4], [prod1]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4],
+                versions: ["v0", "v1", "v2", "v3"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4],
+                versions: ["v4"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p0",
+                supports: [SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V2]
+            },
+            "v2": {
+                product: "p0",
+                supports: [SPEC.V3],
+                dependencies: [],
+                compatible: [SPEC.V3]
+            },
+            "v3": {
+                product: "p0",
+                supports: [SPEC.V4],
+                dependencies: [],
+                compatible: [SPEC.V4]
+            },
+            "v4": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4]
+            }
+        }
+    });
+});
+
+test("a missing spec on a dependency removes support for that spec on the parent", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    store.putVersion(prod1, null, [SPEC.V2], []);
+    const v = store.putVersion(prod1, null, [SPEC.V3], []);
+    store.putVersion(prod1, null, [SPEC.V4], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4], [prod1]);
+    store.putVersion(prod1, v, [SPEC.V1], []);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V4],
+                versions: ["v0", "v1", "v2", "v3"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V4],
+                versions: ["v4"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p0",
+                supports: [SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V2]
+            },
+            "v2": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v3": {
+                product: "p0",
+                supports: [SPEC.V4],
+                dependencies: [],
+                compatible: [SPEC.V4]
+            },
+            "v4": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2, SPEC.V3, SPEC.V4],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2, SPEC.V4]
+            }
+        }
+    });
+});
+
+test("a version cannot depend on a product that does not exist", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], ["p7"]), (err) => err instanceof UnknownProductError && err.productId === "p7");
+    // Keys every object inherits are not records
+    assert.throws(() => store.putVersion("hasOwnProperty", null, [SPEC.V1], []), UnknownProductError);
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], ["toString"]), UnknownProductError);
+    assert.throws(() => store.putVersion(prod1, "constructor", [SPEC.V1], []), UnknownVersionError);
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], [null]), InvalidDependencyError);
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], [{ product: prod1, range: 1 }]), InvalidDependencyError);
+    assert.throws(() => store.putVersion(prod1, null, SPEC.V1, []), (err) => err instanceof InvalidListError && err.argument === "supports");
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], null), (err) => err instanceof InvalidListError && err.argument === "dependencies");
+    assert.throws(() => store.putVersion(prod1, null, [SPEC.V1], prod1), (err) => err instanceof InvalidListError && err.value === prod1);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [],
+                versions: []
+            }
+        },
+        versions: {}
+    });
+});
+
+test("validate() reports stale specs left in a compatible list as well as missing ones", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], []);
+    assert.equal(store.validate(), "Success.");
+    store.products[prod1].compatible = [SPEC.V1, SPEC.V2];
+    assert.equal(store.validate(), "Failed. Mismatch detected on p0.");
+    store.products[prod1].compatible = [];
+    assert.equal(store.validate(), "Failed. Mismatch detected on p0.");
+    store.products[prod1].compatible = [SPEC.V1];
+    store.versions["v1"].compatible = [SPEC.V1, SPEC.V2, SPEC.V3];
+    assert.equal(store.validate(), "Failed. Mismatch detected on v1.");
+});
@@ -0,0 +1,93 @@
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const _ = require("lodash");
+const { labelMatches, parseDependency } = require("../lib/dependency");
+
+/**
+ * Asserts that every stored compatibility of a store is consistent and that its products and versions equal the expected records.
+ * @param {DependencyStore} store The store to check.
+ * @param {object} expected An object of { products, versions }.
+ */
+function assertDb(store, expected) {
+    assert.equal(store.validate(), "Success.");
+    assert.deepEqual({ products: store.products, versions: store.versions }, expected);
+}
+
+/**
+ * Creates a path inside a new temporary directory. The directory is removed once the process exits.
+ * @param {string} name The file name.
+ * @returns The path.
+ */
+function tempFile(name) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sdt-"));
+    process.on("exit", () => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+}
+
+/**
+ * Deterministic pseudo random numbers, so a failing seed can be replayed.
+ * @param {number} seed The seed.
+ * @returns A function returning numbers in [0, 1).
+ */
+function random(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1103515245 + 12345) % 2147483648;
+        return state / 2147483648;
+    };
+}
+
+/**
+ * Recomputes every compatibility of a store from scratch, without its incremental recalculation:
+ * every version starts out compatible with its non retired supported specs, then specs are taken away
+ * until every version only keeps the specs all of its dependencies provide. This is the largest consistent assignment,
+ * which is what the store must hold for acyclic graphs and cycles alike.
+ * @param {DependencyStore} store The store, used for its records and spec registry.
+ * @returns An object of { products, versions } mapping IDs to compatible spec arrays, sorted.
+ */
+function recompute(store) {
+    const versions = _.mapValues(store.versions, (version) => store.withoutRetired(version.supports));
+    const productCompat = (productId) => _.union(...store.products[productId].versions.map((versionId) => versions[versionId]));
+    const provided = (dependency) => {
+        const { product, range } = parseDependency(dependency);
+        if (!range) return productCompat(product);
+        return _.union(...store.products[product].versions.filter((versionId) => labelMatches(store.versions[versionId].label, range)).map((versionId) => versions[versionId]));
+    };
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const versionId in versions) {
+            const kept = versions[versionId].filter((spec) => store.versions[versionId].dependencies.every((dependency) => store.expandSpecs(provided(dependency)).includes(spec)));
+            if (kept.length !== versions[versionId].length) {
+                versions[versionId] = kept;
+                changed = true;
+            }
+        }
+    }
+    return {
+        products: _.mapValues(store.products, (product, productId) => productCompat(productId).sort()),
+        versions: _.mapValues(versions, (compatible) => [...compatible].sort()),
+    };
+}
+
+/**
+ * Reads the stored compatibilities of a store in the format of recompute().
+ * @param {DependencyStore} store The store.
+ * @returns An object of { products, versions } mapping IDs to compatible spec arrays, sorted.
+ */
+function stored(store) {
+    return {
+        products: _.mapValues(store.products, (product) => [...product.compatible].sort()),
+        versions: _.mapValues(store.versions, (version) => [...version.compatible].sort()),
+    };
+}
+
+module.exports = {
+    assertDb,
+    tempFile,
+    random,
+    recompute,
+    stored,
+};
@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { DependencyStore } = require("../index");
+const cli = require("../lib/cli");
+const { tempFile } = require("./helpers");
+
+/**
+ * Writes JSON files below a new temporary directory.
+ * @param {object} files An object of relative path:content.
+ * @returns The directory.
+ */
+function writeTree(files) {
+    const dir = tempFile("packages");
+    for (const [file, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+        fs.writeFileSync(path.join(dir, file), JSON.stringify(content));
+    }
+    return dir;
+}
+
+const MANIFESTS = {
+    "package.json": { name: "monorepo", private: true },
+    "base/package.json": { name: "base", version: "1.0.0", config: { specs: ["web", "cli"] } },
+    "base-next/package.json": { name: "base", version: "2.0.0", config: { specs: ["web"] } },
+    "app/package.json": { name: "app", version: "1.0.0", dependencies: { base: "^1.0.0", lodash: "^4.17.0" }, config: { specs: ["web", "cli"] } },
+    "app-next/package.json": { name: "app", version: "2.0.0", dependencies: { base: "^2.0.0" }, config: { specs: ["web", "cli"] } },
+    "ping/package.json": { name: "ping", version: "1.0.0", dependencies: { pong: "^1.0.0" }, config: { specs: ["web"] } },
+    "pong/package.json": { name: "pong", version: "1.0.0", dependencies: { ping: "*" }, config: { specs: ["web"] } },
+    "app/node_modules/lodash/package.json": { name: "lodash", version: "4.17.21" },
+};
+
+test("importing package.json files creates named products in dependency order and reports rejected versions", () => {
+    const store = new DependencyStore();
+    const report = store.importPackages(writeTree(MANIFESTS), { specField: "config.specs" });
+    assert.deepEqual(report.products, { monorepo: "p0", app: "p1", base: "p2", ping: "p3", pong: "p4" });
+    assert.deepEqual(Object.keys(report.versions), ["base@1.0.0", "base@2.0.0", "app@1.0.0", "ping@1.0.0", "pong@1.0.0"]);
+    assert.deepEqual(report.rejected.map((rejected) => [rejected.package, rejected.version, rejected.error]), [
+        ["monorepo", null, "MissingVersion"],
+        ["app", "2.0.0", "UnsupportedSpecError"],
+    ]);
+    assert.deepEqual(report.rejected[1].missing, { cli: ["p2"] });
+    assert.deepEqual(report.external, { "app@1.0.0": ["lodash"] });
+    assert.equal(store.findProduct("app"), "p1");
+    assert.deepEqual(store.products["p1"], { compatible: ["web", "cli"], versions: [report.versions["app@1.0.0"]], name: "app" });
+    assert.deepEqual(store.versions[report.versions["app@1.0.0"]].dependencies, [{ product: "p2", range: "^1.0.0" }]);
+    assert.deepEqual(store.versions[report.versions["pong@1.0.0"]].dependencies, ["p3"]);
+    assert.deepEqual(store.products["p3"].compatible, ["web"]);
+    assert.equal(store.specs["cli"].metadata.importedFrom, "config.specs");
+    assert.equal(store.validate(), "Success.");
+
+    const again = store.importPackages(writeTree(MANIFESTS), { specField: "config.specs" });
+    assert.deepEqual(again.versions, report.versions);
+    assert.equal(Object.keys(store.products).length, 5);
+});
+
+test("importing a package-lock.json reads the supported specs from engines", () => {
+    const dir = writeTree({
+        "package-lock.json": {
+            name: "shop",
+            version: "1.0.0",
+            lockfileVersion: 3,
+            packages: {
+                "": { name: "shop", version: "1.0.0", dependencies: { cart: "^1.0.0" }, engines: { node: ">=18" } },
+                "node_modules/cart": { version: "1.2.0", engines: { node: ">=16", deno: ">=1" } },
+                "node_modules/legacy/node_modules/cart": { version: "1.2.0", engines: { node: ">=16", deno: ">=1" } },
+                "node_modules/web": { resolved: "packages/web", link: true },
+                "packages/web": { name: "web", version: "0.1.0", dependencies: { cart: "^2.0.0" }, engines: { node: ">=18" } },
+            },
+        },
+    });
+    const output = [];
+    const file = tempFile("store.json");
+    const sdt = (...args) => cli.run([...args, "--store", file, "--json"], { stdout: (text) => output.push(JSON.parse(text)), stderr: () => {} });
+    assert.equal(sdt("import", path.join(dir, "package-lock.json")), 1);
+    const [report] = output;
+    assert.deepEqual(Object.keys(report.versions), ["cart@1.2.0", "shop@1.0.0"]);
+    assert.deepEqual(report.rejected.map((rejected) => `${rejected.package}@${rejected.version}`), ["web@0.1.0"]);
+    assert.deepEqual(report.rejected[0].missing, { node: ["p1"] });
+    assert.equal(sdt("compatibility", report.products["shop"]), 0);
+    assert.deepEqual(output[1].compatible, ["node"]);
+    assert.equal(sdt("create-product", "--name", "shop"), 1);
+    assert.equal(output[2].error, "DuplicateProductError");
+});
@@ -0,0 +1,137 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { DependencyStore, SPEC, JSONFileStorage } = require("../index");
+const cli = require("../lib/cli");
+const { assertDb, tempFile } = require("./helpers");
+
+/**
+ * Writes a store file with one inconsistency of most kinds: p0 lists a missing and a duplicate version, p2 lists p1's version,
+ * p1 does not list it, v3 belongs to a removed product, v2 depends on a removed product, spec9 is not registered,
+ * the counters are behind and p0's compatibility is stale.
+ * @returns The path of the file.
+ */
+function corruptedStoreFile() {
+    const file = tempFile("store.json");
+    const store = new DependencyStore({ storage: new JSONFileStorage(file) });
+    const prod1 = store.createProduct();
+    const prod2 = store.createProduct();
+    const prod3 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod3, null, [SPEC.V1], [prod2]);
+    const snapshot = store.snapshot();
+    snapshot.products["p0"].versions.push("v8", v);
+    snapshot.products["p1"].versions = [];
+    snapshot.products["p2"].versions.push("v1");
+    snapshot.products["p0"].compatible = [SPEC.V3];
+    snapshot.versions["v2"].dependencies.push("p7");
+    snapshot.versions["v3"] = { product: "p4", supports: ["spec9"], dependencies: [], compatible: [] };
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+    return file;
+}
+
+test("checkIntegrity() reports every inconsistency by category and refuses to load them", () => {
+    const file = corruptedStoreFile();
+    assert.throws(() => new DependencyStore({ storage: new JSONFileStorage(file) }), /Stored state is inconsistent. Found 12 issue\(s\)/);
+    const store = new DependencyStore({ storage: new JSONFileStorage(file), verify: false });
+    const before = store.snapshot();
+    const issues = store.checkIntegrity();
+    const found = (category) => issues[category].map((issue) => [issue.productId || issue.versionId || issue.spec || issue.counter, issue.repairable]);
+    assert.deepEqual(found("missingVersions"), [["p0", true]]);
+    assert.deepEqual(found("duplicateVersions"), [["p0", true]]);
+    assert.deepEqual(found("misplacedVersions"), [["p2", true]]);
+    assert.deepEqual(found("orphanedVersions"), [["p4", true]]);
+    assert.deepEqual(found("unlistedVersions"), []);
+    assert.deepEqual(found("danglingDependencies"), [["v2", false]]);
+    assert.deepEqual(found("unknownSpecs"), [["spec9", true]]);
+    assert.deepEqual(found("counters"), [["prodId", true], ["verId", true]]);
+    assert.deepEqual(found("staleCompatibility"), [["p0", true], ["p2", true], ["v2", true], ["v3", true]]);
+    assert.deepEqual(store.snapshot(), before);
+});
+
+test("a store loaded with dangling dependencies can still be walked and resolved", () => {
+    const file = tempFile("store.json");
+    const source = new DependencyStore();
+    const prod1 = source.createProduct();
+    const prod2 = source.createProduct();
+    source.putVersion(prod1, null, [SPEC.V1], []);
+    source.putVersion(prod2, null, [SPEC.V1], [prod1]);
+    const snapshot = source.snapshot();
+    snapshot.versions["v1"].dependencies.push({ product: "p7", range: "^1.0.0" });
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+
+    const store = new DependencyStore({ storage: new JSONFileStorage(file), verify: false });
+    assert.deepEqual(store.findDependencies(prod2), [prod1]);
+    assert.deepEqual(store.listCycles(), []);
+    assert.deepEqual(store.dependencyTree(prod2).versions[0].dependencies[1], { range: "^1.0.0", product: "p7", compatible: [], missing: true });
+    const explanation = store.explain(prod2, SPEC.V1);
+    assert.deepEqual(explanation.versions[0].dependencies[1].node, { product: "p7", range: "^1.0.0", compatible: false, missing: true });
+    assert.deepEqual(store.resolve(prod2, SPEC.V1).reasons, [{ product: "p7", range: "^1.0.0", requiredBy: "v1", message: "p7 does not exist" }]);
+});
+
+test("repair() fixes what it safely can and recomputes every compatibility from scratch", () => {
+    const file = corruptedStoreFile();
+    const output = [];
+    const sdt = (...args) => cli.run([...args, "--store", file, "--json"], { stdout: (text) => output.push(JSON.parse(text)), stderr: () => {} });
+    assert.equal(sdt("check"), 1);
+    assert.equal(output[0].count, 12);
+    assert.equal(sdt("repair"), 1);
+    assert.deepEqual(output[1].remaining.danglingDependencies.map((issue) => issue.dependency), ["p7"]);
+    assert.deepEqual(output[1].changes["p0"].after, [SPEC.V1, SPEC.V2]);
+
+    const store = new DependencyStore({ storage: new JSONFileStorage(file), verify: false });
+    assert.deepEqual(store.listHistory().pop().products["p4"].before, null);
+    assert.equal(store.specs["spec9"].status, "active");
+    assert.equal(store.createProduct(), "p5");
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            },
+            "p2": {
+                compatible: [],
+                versions: ["v2"]
+            },
+            "p4": {
+                compatible: ["spec9"],
+                versions: ["v3"]
+            },
+            "p5": {
+                compatible: [],
+                versions: []
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v2": {
+                product: "p2",
+                supports: [SPEC.V1],
+                dependencies: ["p1", "p7"],
+                compatible: []
+            },
+            "v3": {
+                product: "p4",
+                supports: ["spec9"],
+                dependencies: [],
+                compatible: ["spec9"]
+            }
+        }
+    });
+});
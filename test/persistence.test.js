@@ -0,0 +1,140 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const { DependencyStore, SPEC, JSONFileStorage, JournalStorage } = require("../index");
+const { assertDb, tempFile } = require("./helpers");
+
+const RELOADED_DB = {
+    products: {
+        "p0": {
+            compatible: [SPEC.V1],
+            versions: ["v0"]
+        },
+        "p1": {
+            compatible: [SPEC.V1],
+            versions: ["v1"]
+        }
+    },
+    versions: {
+        "v0": {
+            product: "p0",
+            supports: [SPEC.V1],
+            dependencies: [],
+            compatible: [SPEC.V1]
+        },
+        "v1": {
+            product: "p1",
+            supports: [SPEC.V1, SPEC.V2],
+            dependencies: ["p0"],
+            compatible: [SPEC.V1]
+        }
+    }
+};
+
+for (const [name, Storage, file] of [["a JSON file", JSONFileStorage, "store.json"], ["a journal", JournalStorage, "store.journal"]]) {
+    test(`a store persisted to ${name} reloads to the same state`, () => {
+        const path = tempFile(file);
+        const persisted = new DependencyStore({ storage: new Storage(path) });
+        const prod1 = persisted.createProduct();
+        const prod2 = persisted.createProduct();
+        const v = persisted.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+        persisted.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+        persisted.putVersion(prod1, v, [SPEC.V1], []);
+        assertDb(new DependencyStore({ storage: new Storage(path) }), RELOADED_DB);
+    });
+}
+
+test("a journal commit that fails partway is cut off, so later commits still load", () => {
+    const file = tempFile("store.journal");
+    const persisted = new DependencyStore({ storage: new JournalStorage(file) });
+    const prod1 = persisted.createProduct();
+    const prod2 = persisted.createProduct();
+    const v = persisted.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    // Writes half of the line, then fails as a full disk would
+    const writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = (fd, data) => {
+        fs.writeSync(fd, data.slice(0, data.length / 2));
+        throw Object.assign(new Error("ENOSPC: no space left on device"), { code: "ENOSPC" });
+    };
+    try {
+        assert.throws(() => persisted.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]), /ENOSPC/);
+    } finally {
+        fs.writeFileSync = writeFileSync;
+    }
+    persisted.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    persisted.putVersion(prod1, v, [SPEC.V1], []);
+    assertDb(new DependencyStore({ storage: new JournalStorage(file) }), RELOADED_DB);
+});
+
+test("the history answers point in time queries and survives a reload", () => {
+    const file = tempFile("store.journal");
+    let now = Date.parse("2024-01-01T00:00:00Z");
+    const clock = () => new Date(now);
+    const persisted = new DependencyStore({ storage: new JournalStorage(file), clock });
+    const prod1 = persisted.createProduct();
+    const prod2 = persisted.createProduct();
+    now += 1000;
+    const v = persisted.withActor("release-bot", () => persisted.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []));
+    persisted.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    now += 1000;
+    persisted.putVersion(prod1, v, [SPEC.V1], []);
+    const reloaded = new DependencyStore({ storage: new JournalStorage(file), clock });
+    assert.equal(reloaded.compatibleAt(prod2, "2023-12-31T00:00:00Z"), null);
+    assert.deepEqual(reloaded.compatibleAt(prod2, "2024-01-01T00:00:00Z"), []);
+    assert.deepEqual(reloaded.compatibleAt(prod2, "2024-01-01T00:00:01.500Z"), [SPEC.V1, SPEC.V2]);
+    assert.deepEqual(reloaded.compatibleAt(prod2, now), [SPEC.V1]);
+    assert.equal(reloaded.compatibleAt("constructor", now), null);
+    assert.equal(reloaded.compatibleAt("constructor", "2024-01-01T00:00:00Z"), null);
+    const diff = reloaded.diff("2024-01-01T00:00:01Z", "2024-01-01T00:00:02Z");
+    assert.deepEqual(Object.keys(diff.products), ["p0", "p1"]);
+    assert.deepEqual(diff.versions["v0"].before.supports, [SPEC.V1, SPEC.V2]);
+    assert.deepEqual(reloaded.listHistory({ versionId: v }).map((entry) => entry.actor), ["release-bot", null]);
+    assert.equal(reloaded.stateAt("2024-01-01T00:00:01Z").versions["v0"].compatible.length, 2);
+    assertDb(reloaded, RELOADED_DB);
+});
+
+test("a JSON file store appends its history to a separate file and moves an inline history out", () => {
+    const file = tempFile("store.json");
+    const legacy = new DependencyStore();
+    legacy.putVersion(legacy.createProduct(), null, [SPEC.V1], []);
+    fs.writeFileSync(file, JSON.stringify(legacy.snapshot()));
+
+    const persisted = new DependencyStore({ storage: new JSONFileStorage(file) });
+    assert.equal(persisted.listHistory().length, 2);
+    persisted.createProduct();
+    assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).history, undefined);
+    assert.equal(fs.readFileSync(`${file}.history`, "utf8").split("\n").length - 1, 3);
+
+    // A commit that failed after appending its entries leaves bytes that are not part of the history
+    fs.appendFileSync(`${file}.history`, "{\"torn\":");
+    const reloaded = new DependencyStore({ storage: new JSONFileStorage(file) });
+    assert.equal(reloaded.listHistory().length, 3);
+    reloaded.createProduct();
+    assert.equal(new DependencyStore({ storage: new JSONFileStorage(file) }).listHistory().length, 4);
+});
+
+test("snapshots saved before versions kept their compatibility load with it calculated", () => {
+    const old = {
+        prodId: 2,
+        verId: 2,
+        products: {
+            "p0": { compatible: [SPEC.V1, SPEC.V2], versions: ["v0"] },
+            "p1": { compatible: [SPEC.V1], versions: ["v1"] },
+        },
+        versions: {
+            "v0": { product: "p0", supports: [SPEC.V1, SPEC.V2], dependencies: [] },
+            "v1": { product: "p1", supports: [SPEC.V1, SPEC.V2], dependencies: ["p0"] },
+        },
+    };
+    const file = tempFile("store.json");
+    fs.writeFileSync(file, JSON.stringify(old));
+    const store = new DependencyStore({ storage: new JSONFileStorage(file) });
+    assert.deepEqual(store.versions["v1"].compatible, [SPEC.V1, SPEC.V2]);
+    assert.deepEqual(new DependencyStore({ storage: new JSONFileStorage(file) }).snapshot({ history: false }), store.snapshot({ history: false }));
+
+    fs.writeFileSync(file, JSON.stringify(old));
+    const unverified = new DependencyStore({ storage: new JSONFileStorage(file), verify: false });
+    assert.equal(unverified.versions["v1"].compatible.length, 0);
+    unverified.repair();
+    assert.deepEqual(unverified.snapshot({ history: false }), store.snapshot({ history: false }));
+});
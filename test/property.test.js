@@ -0,0 +1,89 @@
+// Property-based tests: random sequences of calls on generated graphs, including cycles, ranges, spec rules and transactions.
+// After every call the stored compatibilities must equal a from-scratch recomputation, in both directions,
+// the reverse dependency index must equal one built from scratch, and a rejected call must leave the DB untouched.
+// Every seed is deterministic, so a failure names the seed to replay.
+
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const _ = require("lodash");
+const { DependencyStore, SPEC, DependencyStoreError } = require("../index");
+const { random, recompute, stored } = require("./helpers");
+
+const SEEDS = _.range(1, 21);
+const STEPS = 80;
+const SPECS = [...Object.values(SPEC), "spec5"];
+const RANGES = ["^1", "^2", ">=1.5.0"];
+const LABELS = ["1.0.0", "1.6.0", "2.0.0", "2.3.1"];
+
+/**
+ * Generates random calls against a store.
+ * @param {function} next The random number generator.
+ * @returns An object of call name:function(store), each performing one random call.
+ */
+function calls(next) {
+    const pick = (items) => items[Math.floor(next() * items.length)];
+    const some = (items, chance) => items.filter(() => next() < chance);
+    const dependencies = (store) => some(Object.keys(store.products), 0.25).map((product) => next() < 0.3 ? { product, range: pick(RANGES) } : product);
+    // Half of the versions only support what their dependencies provide, so that most calls are accepted and cascades stay deep
+    const supports = (store, deps) => {
+        const wanted = some(store.withoutRetired(SPECS), 0.6);
+        if (next() < 0.5) return wanted;
+        return deps.reduce((specs, dependency) => store.intersectSpecs(specs, store.dependencyCompatibility(dependency)), wanted);
+    };
+    const version = (store, versionId) => {
+        const productId = versionId ? store.versions[versionId].product : pick(Object.keys(store.products));
+        const deps = dependencies(store);
+        const options = next() < 0.6 ? { label: pick(LABELS) } : {};
+        return [productId, versionId, supports(store, deps), deps, options];
+    };
+    return {
+        createProduct: (store) => store.createProduct(),
+        createVersion: (store) => store.putVersion(...version(store, null)),
+        updateVersion: (store) => store.putVersion(...version(store, pick(Object.keys(store.versions)))),
+        removeVersion: (store) => store.removeVersion(pick(Object.keys(store.versions))),
+        removeProduct: (store) => store.removeProduct(pick(Object.keys(store.products)), { cascade: next() < 0.5 }),
+        implySpec: (store) => store.implySpec(pick(SPECS), pick(SPECS)),
+        retireSpec: (store) => store.retireSpec(pick(SPECS)),
+        transaction: (store) => store.transaction(() => {
+            for (let i = 0; i < 3; i++) store.putVersion(...version(store, next() < 0.5 ? pick(Object.keys(store.versions)) : null));
+            if (next() < 0.3) store.removeProduct(pick(Object.keys(store.products)), { cascade: true });
+        }),
+    };
+}
+
+/**
+ * Picks the next call. Products and versions are created more often than they are removed, and spec rules change rarely.
+ */
+function chooseCall(next, store) {
+    if (_.isEmpty(store.products) || next() < 0.1) return "createProduct";
+    if (_.isEmpty(store.versions)) return "createVersion";
+    const roll = next();
+    if (roll < 0.35) return "createVersion";
+    if (roll < 0.65) return "updateVersion";
+    if (roll < 0.75) return "removeVersion";
+    if (roll < 0.8) return "removeProduct";
+    if (roll < 0.85) return "implySpec";
+    if (roll < 0.87) return "retireSpec";
+    return "transaction";
+}
+
+for (const seed of SEEDS) {
+    test(`stored compatibility equals a from-scratch recomputation on random graph ${seed}`, () => {
+        const next = random(seed);
+        const store = new DependencyStore({ specs: SPECS });
+        const generated = calls(next);
+        for (let step = 0; step < STEPS; step++) {
+            const name = chooseCall(next, store);
+            const before = store.snapshot();
+            try {
+                generated[name](store);
+            } catch (err) {
+                if (!(err instanceof DependencyStoreError)) throw err;
+                assert.deepEqual(store.snapshot(), before, `seed ${seed}, step ${step}: rejected ${name} changed the DB`);
+            }
+            assert.deepEqual(stored(store), recompute(store), `seed ${seed}, step ${step}: compatibility after ${name} differs from a recomputation`);
+            assert.equal(store.validate(), "Success.", `seed ${seed}, step ${step}: validate() failed after ${name}`);
+            assert.deepEqual(store.dependents, store.fork().dependents, `seed ${seed}, step ${step}: the index after ${name} differs from a rebuilt one`);
+        }
+    });
+}
@@ -0,0 +1,158 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DependencyStore, SPEC, UnsupportedSpecError } = require("../index");
+const { assertDb } = require("./helpers");
+
+test("a dependency with a range only counts the specs of the versions inside the range", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], [], { label: "1.4.0" });
+    store.putVersion(prod1, null, [SPEC.V1], [], { label: "2.1.0" });
+    const prod2 = store.createProduct();
+    assert.throws(() => store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [{ product: prod1, range: ">=2.0 <3" }]), (err) => {
+        assert.ok(err instanceof UnsupportedSpecError);
+        assert.deepEqual(err.missing, { [SPEC.V2]: ["p0"] });
+        return true;
+    });
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [{ product: prod1, range: "^1.2" }]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v0", "v1"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v2"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                label: "1.4.0",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V2]
+            },
+            "v1": {
+                product: "p0",
+                label: "2.1.0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v2": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: [{ product: "p0", range: "^1.2" }],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});
+
+test("resolving picks the newest versions that agree on shared dependencies", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    store.putVersion(prod1, null, [SPEC.V1], [], { label: "1.0.0" });
+    store.putVersion(prod1, null, [SPEC.V1], [], { label: "2.0.0" });
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1], [{ product: prod1, range: "^1" }], { label: "1.0.0" });
+    const prod3 = store.createProduct();
+    store.putVersion(prod3, null, [SPEC.V1], [prod1, prod2], { label: "1.0.0" });
+    assert.deepEqual(store.resolve(prod3, SPEC.V1), {
+        resolved: true,
+        lock: {
+            "p2": { version: "v3", label: "1.0.0" },
+            "p0": { version: "v0", label: "1.0.0" },
+            "p1": { version: "v2", label: "1.0.0" },
+        }
+    });
+    const unresolved = store.resolve(prod3, SPEC.V2);
+    assert.equal(unresolved.resolved, false);
+    assert.equal(unresolved.reasons.length, 1);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0", "v1"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v2"]
+            },
+            "p2": {
+                compatible: [SPEC.V1],
+                versions: ["v3"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                label: "1.0.0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p0",
+                label: "2.0.0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v2": {
+                product: "p1",
+                label: "1.0.0",
+                supports: [SPEC.V1],
+                dependencies: [{ product: "p0", range: "^1" }],
+                compatible: [SPEC.V1]
+            },
+            "v3": {
+                product: "p2",
+                label: "1.0.0",
+                supports: [SPEC.V1],
+                dependencies: ["p0", "p1"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("resolving goes back to the pick that caused a conflict and skips the picks that played no part in it", () => {
+    const store = new DependencyStore();
+    const shared = store.createProduct();
+    store.putVersion(shared, null, [SPEC.V1], [], { label: "1.0.0" });
+    store.putVersion(shared, null, [SPEC.V1], [], { label: "2.0.0" });
+    const pinned = store.createProduct();
+    store.putVersion(pinned, null, [SPEC.V1], [{ product: shared, range: "^1" }], { label: "1.0.0" });
+    const picky = store.createProduct();
+    store.putVersion(picky, null, [SPEC.V1], [{ product: shared, range: "^1" }], { label: "1.0.0" });
+    store.putVersion(picky, null, [SPEC.V1], [{ product: shared, range: "^2" }], { label: "2.0.0" });
+    // Each sibling has three versions, with a dependency of its own, none of which matters to the conflict below
+    const siblings = [];
+    for (let i = 0; i < 15; i++) {
+        const sibling = store.createProduct();
+        for (const label of ["1.0.0", "1.1.0", "1.2.0"]) {
+            const leaf = store.createProduct();
+            store.putVersion(leaf, null, [SPEC.V1], []);
+            store.putVersion(sibling, null, [SPEC.V1], [leaf], { label });
+        }
+        siblings.push(sibling);
+    }
+    const app = store.createProduct();
+    store.putVersion(app, null, [SPEC.V1], [picky, ...siblings, pinned]);
+    const { resolved, lock } = store.resolve(app, SPEC.V1);
+    assert.equal(resolved, true);
+    assert.deepEqual([lock[picky].label, lock[shared].label, lock[pinned].label], ["1.0.0", "1.0.0", "1.0.0"]);
+    assert.deepEqual(siblings.map((sibling) => lock[sibling].label), siblings.map(() => "1.2.0"));
+
+    const conflicting = store.createProduct();
+    store.putVersion(conflicting, null, [SPEC.V1], [{ product: shared, range: "^2" }], { label: "1.0.0" });
+    const stuck = store.createProduct();
+    store.putVersion(stuck, null, [SPEC.V1], [...siblings, pinned, conflicting]);
+    assert.deepEqual(store.resolve(stuck, SPEC.V1), {
+        resolved: false,
+        reasons: [{ product: shared, range: "^2", requiredBy: store.products[conflicting].versions[0], message: `v0 was already picked for ${shared} but is outside ^2` }],
+    });
+});
@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const { DependencyStore, SPEC, createServer } = require("../index");
+const { assertDb } = require("./helpers");
+
+/**
+ * Sends one JSON request to a listening server.
+ * @returns A promise of { status, body }.
+ */
+function request(server, method, url, body) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: "127.0.0.1", port: server.address().port, method, path: url }, (res) => {
+            let data = "";
+            res.on("data", (chunk) => data += chunk);
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+        });
+        req.on("error", reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+test("the HTTP server creates versions and answers rejections with the missing specs", async (t) => {
+    const store = new DependencyStore();
+    const server = createServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => new Promise((resolve) => server.close(resolve)));
+
+    const prod1 = (await request(server, "POST", "/products")).body.productId;
+    const prod2 = (await request(server, "POST", "/products")).body.productId;
+    const v = (await request(server, "POST", `/products/${prod1}/versions`, { supports: [SPEC.V1, SPEC.V2] })).body.versionId;
+    await request(server, "POST", `/products/${prod2}/versions`, { supports: [SPEC.V1], dependencies: [prod1] });
+
+    const put = await request(server, "PUT", `/products/${prod1}/versions/${v}`, { supports: [SPEC.V1], dependencies: [] });
+    assert.equal(put.status, 200);
+    assert.deepEqual(put.body.compatible, [SPEC.V1]);
+
+    const rejected = await request(server, "POST", `/products/${prod2}/versions`, { supports: [SPEC.V2], dependencies: [prod1] });
+    assert.equal(rejected.status, 422);
+    assert.equal(rejected.body.error, "UnsupportedSpecError");
+    assert.deepEqual(rejected.body.missing, { [SPEC.V2]: ["p0"] });
+
+    assert.deepEqual((await request(server, "GET", `/products/${prod1}/compatibility`)).body, { productId: "p0", compatible: [SPEC.V1], versions: { "v0": [SPEC.V1] } });
+    assert.deepEqual((await request(server, "GET", `/products/${prod1}/dependents`)).body, { productId: "p0", products: ["p1"], versions: ["v1"] });
+
+    for (const [method, url, body] of [["POST", `/products/${prod1}/versions`, null], ["GET", "/products/%E0%A4%A/tree"]]) {
+        const invalid = await request(server, method, url, body);
+        assert.equal(invalid.status, 400, `${method} ${url} ${JSON.stringify(body)}`);
+        assert.equal(invalid.body.error, "HttpError");
+    }
+    const invalidDependency = await request(server, "POST", `/products/${prod1}/versions`, { supports: [SPEC.V1], dependencies: [null] });
+    assert.equal(invalidDependency.status, 400);
+    assert.deepEqual([invalidDependency.body.error, invalidDependency.body.dependency], ["InvalidDependencyError", null]);
+
+    const unknown = await request(server, "GET", "/products/p9/tree");
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.error, "UnknownProductError");
+
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
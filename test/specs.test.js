@@ -0,0 +1,85 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { DependencyStore, SPEC, UnknownSpecError } = require("../index");
+const { assertDb } = require("./helpers");
+
+test("unknown specs are rejected and retired specs are removed from every compatible list", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    assert.throws(() => store.putVersion(prod1, null, ["spec01"], []), UnknownSpecError);
+    // Keys every object inherits are not registered specs
+    assert.throws(() => store.putVersion(prod1, null, ["constructor"], []), UnknownSpecError);
+    assert.throws(() => store.implySpec("toString", SPEC.V1), UnknownSpecError);
+    assert.throws(() => store.retireSpec("hasOwnProperty"), UnknownSpecError);
+    assert.equal(store.registerSpec("valueOf").status, "active");
+    store.registerSpec("spec5", { description: "Fifth spec" });
+    store.putVersion(prod1, null, [SPEC.V1, "spec5"], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1, "spec5"], [prod1]);
+    store.retireSpec("spec5");
+    assert.deepEqual(store.listSpecs("retired"), ["spec5"]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, "spec5"],
+                dependencies: [],
+                compatible: [SPEC.V1]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, "spec5"],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1]
+            }
+        }
+    });
+});
+
+test("a dependency compatible with a spec satisfies the specs it implies", () => {
+    const store = new DependencyStore();
+    const prod1 = store.createProduct();
+    const v = store.putVersion(prod1, null, [SPEC.V1, SPEC.V2], []);
+    const prod2 = store.createProduct();
+    store.putVersion(prod2, null, [SPEC.V1, SPEC.V2], [prod1]);
+    store.putVersion(prod1, v, [SPEC.V1, SPEC.V3], []);
+    const report = store.implySpec(SPEC.V3, SPEC.V2);
+    assert.deepEqual(Object.keys(report.changes), ["p1"]);
+    assert.deepEqual(report.changes["p1"].added, [SPEC.V2]);
+    assertDb(store, {
+        products: {
+            "p0": {
+                compatible: [SPEC.V1, SPEC.V3],
+                versions: ["v0"]
+            },
+            "p1": {
+                compatible: [SPEC.V1, SPEC.V2],
+                versions: ["v1"]
+            }
+        },
+        versions: {
+            "v0": {
+                product: "p0",
+                supports: [SPEC.V1, SPEC.V3],
+                dependencies: [],
+                compatible: [SPEC.V1, SPEC.V3]
+            },
+            "v1": {
+                product: "p1",
+                supports: [SPEC.V1, SPEC.V2],
+                dependencies: ["p0"],
+                compatible: [SPEC.V1, SPEC.V2]
+            }
+        }
+    });
+});